@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Replay a protocol trace (recorded with the "trace" option) through the
+// response parser, print the conversation and report every response that
+// comes out differently than it was recorded
+//
+//   iridium-replay trace.jsonl [--json]
+
+var trace = require('../lib/trace');
+
+var args = process.argv.slice(2);
+var json = args.indexOf('--json') >= 0;
+var file = args.filter(function(arg) {
+    return arg.indexOf('--') != 0;
+})[0];
+
+if (!file) {
+    console.error("usage: iridium-replay <trace file> [--json]");
+    process.exit(2);
+}
+
+var result;
+try {
+    result = trace.replay(trace.load(file));
+} catch (err) {
+    console.error("Cannot replay "+file+": "+err.message);
+    process.exit(2);
+}
+
+if (json) {
+    console.log(JSON.stringify(result, null, 2));
+} else {
+    var start = result.entries.length?result.entries[0].time:0;
+    result.entries.forEach(function(entry) {
+        var at = "+"+((entry.time-start)/1000).toFixed(3)+"s";
+        var data = (entry.text !== undefined)?JSON.stringify(entry.text):"[BINARY] "+entry.hex;
+        console.log(at+" "+entry.dir+" "+data+(entry.error?" ("+entry.error+")":""));
+    });
+    result.mismatches.forEach(function(mismatch) {
+        console.log("MISMATCH at response "+mismatch.index+": recorded "+JSON.stringify(mismatch.recorded)+
+            ", replayed "+JSON.stringify(mismatch.replayed));
+    });
+    console.log(result.mismatches.length?result.mismatches.length+" mismatch(es)":"Replay matches the trace");
+}
+
+process.exit(result.mismatches.length?1:0);
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// Command line tool for poking at a modem
+//
+//   iridium-sbd [options] <command> [arguments]
+//
+// run "iridium-sbd --help" for the commands and options
+
+var fs = require('fs'),
+        path = require('path'),
+        iridiumSbd = require('..');
+
+var USAGE = [
+    "usage: iridium-sbd [options] <command> [arguments]",
+    "",
+    "commands:",
+    "  info                 modem identity, firmware, SBD and registration status",
+    "  signal               signal strength in bars (0-5)",
+    "  time                 network time, modem clock and host clock offset",
+    "  send <text>          send a message (or --file <path>, --hex <data>)",
+    "  send --compressed    send the text deflate compressed",
+    "  receive              check the mailbox and print the MT messages (--save <dir> to keep them)",
+    "  listen               stay connected, print ring alerts and messages as they arrive",
+    "  raw <AT command>     send any AT command and print the response",
+    "  serve                share the modem over HTTP (--listen [host:]port, --token, --outbox <file>)",
+    "",
+    "options:",
+    "  --port <device>      serial device or tcp://host:port (default /dev/ttyUSB0)",
+    "  --baud <rate>        serial speed (default 19200)",
+    "  --flow-control       use RTS/CTS flow control",
+    "  --init <profile>     initialization profile: default, preserve (keeps the MT buffer) or minimal",
+    "  --watchdog           reconnect when the modem stops answering or the port goes away (listen, serve)",
+    "  --json               print results as JSON",
+    "  --debug              print the AT commands and responses",
+    "  --help               show this help"
+].join("\n");
+
+// options taking a value, and flags
+var VALUES = ['port', 'baud', 'init', 'file', 'hex', 'save', 'listen', 'token', 'outbox'];
+var FLAGS = ['flow-control', 'watchdog', 'json', 'debug', 'compressed', 'help'];
+
+function parseArgs(argv) {
+    var options = {};
+    var args = [];
+    for (var i=0;i<argv.length;i++) {
+        var arg = argv[i];
+        if (arg.indexOf('--') != 0) {
+            args.push(arg);
+            continue;
+        }
+        var name = arg.slice(2);
+        var value = null;
+        if (name.indexOf('=') > 0) {
+            value = name.slice(name.indexOf('=')+1);
+            name = name.slice(0, name.indexOf('='));
+        }
+        if (VALUES.indexOf(name) >= 0) {
+            if (value === null) value = argv[++i];
+            if (value === undefined) throw new Error("Option --"+name+" needs a value");
+            options[name] = value;
+        } else if (FLAGS.indexOf(name) >= 0) {
+            options[name] = true;
+        } else {
+            throw new Error("Unknown option --"+name);
+        }
+    }
+    return {command: args[0], args: args.slice(1), options: options};
+}
+
+// print a result - "text" for people, "data" with --json
+function output(options, text, data) {
+    if (options.json) console.log(JSON.stringify(data));
+    else console.log(text);
+}
+
+// a message (its bytes) as text if it looks like text, hex otherwise
+function describeMessage(buffer) {
+    var text = buffer.toString('utf8');
+    var printable = !/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text) && Buffer.from(text, 'utf8').equals(buffer);
+    return printable?{text: text}:{hex: buffer.toString('hex')};
+}
+
+var saved = 0;
+
+// "bytes" are the bytes of a text message (AT+SBDRT), "message" is a string then
+function printMessage(options, message, queued, bytes) {
+    var buffer = (message instanceof Buffer)?message:(bytes || Buffer.from(String(message), 'binary'));
+    var described = describeMessage(buffer);
+    described.length = buffer.length;
+    described.queued = queued;
+    output(options, (described.text !== undefined)?described.text:"[hex] "+described.hex, described);
+
+    if (options.save) {
+        var file = path.join(options.save, "mt-"+Date.now()+"-"+(++saved)+".bin");
+        fs.writeFileSync(file, buffer);
+        if (!options.json) console.error("saved to "+file);
+    }
+}
+
+// the payload of "send"
+function payload(command) {
+    var options = command.options;
+    if (options.file) return fs.readFileSync(options.file);
+    if (options.hex) return Buffer.from(options.hex.replace(/\s+/g, ""), 'hex');
+    if (!command.args.length) throw new Error("Nothing to send, give a text, --file or --hex");
+    return Buffer.from(command.args.join(" "), 'utf8');
+}
+
+var COMMANDS = {
+    info: function(modem, command, done) {
+        var info;
+        modem.getModemInfo().then(function(result) {
+            info = result;
+            return modem.getSbdStatus();
+        }).then(function(sbd) {
+            info.sbd = sbd;
+            return modem.getRegistrationStatus().catch(function(err) {
+                return null;
+            });
+        }).then(function(registration) {
+            info.registration = registration;
+            output(command.options, [
+                "IMEI:         "+info.imei,
+                "Manufacturer: "+info.manufacturer,
+                "Model:        "+info.model,
+                "Firmware:     "+info.revision,
+                "MO buffer:    "+(info.sbd.moFlag?"message waiting, ":"empty, ")+"next MOMSN "+info.sbd.momsn,
+                "MT buffer:    "+(info.sbd.mtFlag?"message MTMSN "+info.sbd.mtmsn:"empty")+", "+info.sbd.waiting+" queued at the gateway",
+                "Ring alert:   "+(info.sbd.ringAlert?"waiting":"none"),
+                "Registration: "+(registration?registration.statusText:"unknown")
+            ].join("\n"), info);
+            done(null);
+        }, done);
+    },
+
+    signal: function(modem, command, done) {
+        modem.getSignalQuality(function(err, bars) {
+            if (err) return done(err);
+            output(command.options, bars+" bar(s)", {bars: bars});
+            done(null);
+        });
+    },
+
+    time: function(modem, command, done) {
+        var result = {};
+        modem.getClockOffset().then(function(clock) {
+            result.networkTime = clock.networkTime;
+            result.offset = clock.offset;
+            return modem.getSystemTime();
+        }).then(function(systemTime) {
+            result.systemTime = systemTime;
+            output(command.options, [
+                "Network time: "+result.networkTime.toISOString(),
+                "Modem clock:  "+result.systemTime.toISOString(),
+                "Host clock:   "+((result.offset >= 0)?result.offset+"ms behind":(-result.offset)+"ms ahead")
+            ].join("\n"), result);
+            done(null);
+        }, done);
+    },
+
+    send: function(modem, command, done) {
+        var sent = function(err, session) {
+            if (err) return done(err);
+            var sessions = [].concat(session);
+            output(command.options, "Sent, MOMSN "+sessions.map(function(session) {
+                return session.momsn;
+            }).join(", "), {sessions: sessions});
+            done(null);
+        };
+
+        var buffer = payload(command);
+        if (command.options.compressed) modem.sendCompressedMessage(buffer.toString('utf8'), sent);
+        else if (buffer.length > iridiumSbd.fragment.MO_MAX_LENGTH) modem.sendLargeMessage(buffer, sent);
+        else modem.mailboxSend(buffer, sent);
+    },
+
+    receive: function(modem, command, done) {
+        var received = 0;
+        var finished = false;
+        var finish = function(err) {
+            if (finished) return;
+            finished = true;
+            if (!err && !received && !command.options.json) console.error("No messages");
+            done(err);
+        };
+
+        // further messages are fetched by the library while the gateway has some queued
+        modem.on('newmessage', function(message, queued, bytes) {
+            received++;
+            printMessage(command.options, message, queued, bytes);
+            if (queued <= 0) finish(null);
+        });
+        modem.on('mailboxerror', finish);
+        modem.mailboxCheck(function(err, session) {
+            if (err) return finish(err);
+            if (!session || session.mtQueued <= 0) finish(null);
+        });
+    },
+
+    listen: function(modem, command, done) {
+        modem.enableAutoReceive();
+        modem.on('ringalert', function() {
+            output(command.options, "ring alert", {event: 'ringalert'});
+        });
+        modem.on('newmessage', function(message, queued, bytes) {
+            printMessage(command.options, message, queued, bytes);
+        });
+        modem.on('registration', function(registration) {
+            output(command.options, "registration: "+registration.eventText, {event: 'registration', registration: registration});
+        });
+        modem.on('mailboxerror', function(err) {
+            output(command.options, "mailbox check failed: "+err.message, {event: 'mailboxerror', error: err.message});
+        });
+        modem.on('disconnected', function(err) {
+            output(command.options, "disconnected: "+err.message, {event: 'disconnected', error: err.message});
+        });
+        modem.on('reconnected', function() {
+            output(command.options, "reconnected", {event: 'reconnected'});
+        });
+        if (!command.options.json) console.error("Listening, press Ctrl-C to stop");
+        process.on('SIGINT', function() {
+            done(null);
+        });
+    },
+
+    serve: function(modem, command, done) {
+        var options = command.options;
+        var listen = String(options.listen || "127.0.0.1:8080").split(":");
+        var port = Number(listen.pop());
+        var host = listen.join(":") || "127.0.0.1";
+
+        var outbox = null;
+        if (options.outbox) outbox = new iridiumSbd.Outbox(options.outbox).attach(modem);
+        modem.enableAutoReceive();
+
+        var server = iridiumSbd.server.createServer(modem, {token: options.token, outbox: outbox});
+        server.on('error', done);
+        server.listen(port, host, function() {
+            if (!options.json) console.error("Listening on http://"+host+":"+port+", press Ctrl-C to stop");
+        });
+        process.on('SIGINT', function() {
+            if (outbox) outbox.detach();
+            server.close();
+            done(null);
+        });
+    },
+
+    raw: function(modem, command, done) {
+        if (!command.args.length) throw new Error("Give the AT command to send");
+        modem.AT(command.args.join(" "), /^(OK|READY|\d)\r/, /.*/, function(err, response) {
+            if (err && err.response === undefined) return done(err);
+            var text = err?err.response:response;
+            var lines = text.split("\n").map(function(line) {
+                return line.trim();
+            }).filter(function(line) {
+                return line.length;
+            });
+            if (err) lines.push("ERROR");
+            output(command.options, lines.join("\n"), {command: command.args.join(" "), response: lines, error: !!err});
+            done(null);
+        });
+    }
+};
+
+function main() {
+    var command;
+    try {
+        command = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message+"\n\n"+USAGE);
+        process.exit(2);
+    }
+    if (command.options.help || !command.command) {
+        console.log(USAGE);
+        process.exit(command.options.help?0:2);
+    }
+    if (!COMMANDS[command.command]) {
+        console.error("Unknown command "+command.command+"\n\n"+USAGE);
+        process.exit(2);
+    }
+
+    var options = command.options;
+    var config = {flowControl: !!options['flow-control'], debug: options.debug?1:0};
+    if (options.port) config.port = options.port;
+    if (options.baud) config.baudrate = Number(options.baud);
+    if (options.init) config.init = options.init;
+    if (options.watchdog) config.watchdog = true;
+
+    var modem = iridiumSbd.createIridium(config);
+    if (options.debug) modem.on('debug', function(message) {
+        console.error(message);
+    });
+
+    function done(err) {
+        modem.close();
+        if (err) {
+            if (options.json) console.log(JSON.stringify({error: err.message || String(err), code: err.code}));
+            else console.error("Error: "+(err.message || err));
+        }
+        process.exit(err?1:0);
+    }
+
+    modem.open(function(err) {
+        if (err) return done(err);
+        try {
+            COMMANDS[command.command](modem, command, done);
+        } catch (err) {
+            done(err);
+        }
+    });
+}
+
+main();
@@ -7,13 +7,7 @@
 var iridium = require("./index.js");
 var sys = require('sys');
 var zlib = require('zlib');
-// var execSync = require('exec-sync');
-// var dateFormat = require('dateformat');
-
-var pending = 0;
-
-// XXX Fix locking into libary
-var lock = 0;
+// var execSync = require('child_process').execSync;
 
 iridium.on('debug', function(msg) {
 	console.log("SBD DEBUG: " + msg);
@@ -41,9 +35,13 @@ iridium.on('initialized', function() {
         sys.log("Current Network time is "+ctime);
         sys.log("Current device time is "+Date(Date.now()));
 
-        // var fdate = dateFormat(ctime, "mmddHHMMyyyy.ss");
-        // execSync("date "+fdate);
-        // sys.log("Date set from Iridium time");
+        // to set the clock from Iridium time (only if it is more than a second off)
+        // iridium.syncClock(function(date, callback) {
+        //     execSync("date -u -s @"+Math.round(date.getTime()/1000));
+        //     callback(null);
+        // }, function(err, clock) {
+        //     if (!err) sys.log("Clock offset was "+clock.offset+"ms");
+        // });
 
 	// Example - you can close the port now we have completed...
 	// iridium.close();
@@ -60,26 +58,17 @@ iridium.on('initialized', function() {
 //sendCompressedMessage("This is a test for the compressed messages!");
 });
 
+// with autoReceive on, ring alerts trigger mailbox checks in the library
 iridium.on('ringalert', function() {
     sys.log("[SBD] RING ALERT");
-    mailboxCheck();
 });
 
-function mailboxCheck() {
-    if (lock) {
-        pending++;
-    } else {
-        sendMessage("");
-    }
-}
-
 // when a message is received, try to execute it as a command
 iridium.on('newmessage', function(message, queued) {
     sys.log("[SBD] Received new message "+message);
     // var user = execSync(message);
     // sys.log(user);
     sys.log("[SBD] There are "+queued+" messages still waiting");
-    pending = queued;
 });
 
 function sendCompressedMessage(text) {
@@ -93,18 +82,9 @@ function sendCompressedMessage(text) {
 
 
 function sendMessage(text) {
-    lock=1;
-    iridium.sendMessage(text, function(err, momsn) {
+    iridium.sendMessage(text, function(err, session) {
         if (err==null) {
-            if (text) sys.log("[SBD] Message sent successfully, assigned MOMSN "+momsn);
-
-            // check to see if there are other messages pending - if there are, send a new mailbox check to fetch them in 1 second
-            if (pending>0) setTimeout(function() {
-                sendMessage("");
-            }, 1000);
-            else {
-                lock=0;
-            }
+            if (text) sys.log("[SBD] Message sent successfully, assigned MOMSN "+session.momsn);
         } else {
             sys.log("[SBD] Iridium returned error "+err+", will retry in 20s");
             setTimeout(function() {
@@ -114,30 +94,20 @@ function sendMessage(text) {
     });
 }
 
+// mailboxSend retries failed sessions by itself
 function sendBinaryMessage(buffer) {
-    lock=1;
-    iridium.sendBinaryMessage(buffer, function(err, momsn) {
+    iridium.mailboxSend(buffer, function(err, session) {
         if (err==null) {
-            if (buffer) sys.log("[SBD] Binary message sent successfully, assigned MOMSN "+momsn);
-
-            // check to see if there are other messages pending - if there are, send a new mailbox check to fetch them in 1 second
-            if (pending>0) setTimeout(function() {
-                sendMessage("");
-            }, 1000);
-            else {
-                lock=0;
-            }
+            sys.log("[SBD] Binary message sent successfully, assigned MOMSN "+session.momsn);
         } else {
-            sys.log("[SBD] Iridium returned error "+err+", will retry in 20s");
-            setTimeout(function() {
-                sendBinaryMessage(buffer);
-            }, 20000);
+            sys.log("[SBD] Iridium returned error "+err);
         }
     });
 }
 
 iridium.open({
     debug: 1,
+    autoReceive: true,
     port: "/dev/ttyMFD1"
 });
 
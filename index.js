@@ -8,177 +8,757 @@
 
 
 var sys = require('sys'),
+        util = require('util'),
         zlib = require('zlib'),
         async = require('async'),
-        serialport = require("serialport"),
-        SerialPort = serialport.SerialPort,
+        errors = require('./lib/errors'),
+        CommandQueue = require('./lib/command-queue'),
+        sbdix = require('./lib/sbdix'),
+        unsolicited = require('./lib/unsolicited'),
+        RetryPolicy = require('./lib/retry-policy'),
+        Outbox = require('./lib/outbox'),
+        fragment = require('./lib/fragment'),
+        codec = require('./lib/codec'),
+        SignalHistory = require('./lib/signal-history'),
+        power = require('./lib/power'),
+        status = require('./lib/status'),
+        time = require('./lib/time'),
+        geo = require('./lib/geo'),
+        logger = require('./lib/logger'),
+        trace = require('./lib/trace'),
+        server = require('./lib/server'),
+        directip = require('./lib/directip'),
+        rockblock = require('./lib/rockblock'),
+        textMessage = require('./lib/text'),
+        initProfile = require('./lib/init'),
+        watchdog = require('./lib/watchdog'),
+        ModemSimulator = require('./lib/simulator'),
+        fromCallback = require('./lib/promise').fromCallback,
+        eventIterator = require('./lib/promise').eventIterator,
+        transports = require('./lib/transports'),
+        SbdProtocol = require('./lib/protocol'),
         EventEmitter = require('events').EventEmitter;
 
-var iridiumEvents = new EventEmitter();
-
-var df;
-var er;
-var tf;
-
-var serialPort;
-var serialEmitter;
-
 var OK = /^OK\r/;
 var ALL = /.*/;
 
-// this array contains all possible unsollicited response codes and their
-// corresponding handling functions
+// default configuration, copied into the "globals" of every modem instance
+var DEFAULTS = {
+    bars:0,
+    baudrate: 19200, //serial baudrate for the RockBlock
+    debug: 0, //should send extra debug info to the console
+    logger: null, // pino compatible logger for leveled, structured logs, see lib/logger.js
+    trace: null, // file name (or stream) to record a protocol trace to, see lib/trace.js
+    defaultTimeout: 60000, // 60 seconds general timeout for all commands
+    simpleTimeout: 2000, // 2 seconds timeout for simple command such as "echo off" (ATE0)
+    timeoutForever: -1,
+    maxAttempts: 10, //max attempts to send a message
+    networkWait: 300000, // how long a session waits for network service in ms (0 waits forever)
+    retryPolicy: null, // RetryPolicy (or its options) used by mailboxSend, see lib/retry-policy.js
+    autoReceive: false, // true (or enableAutoReceive options) to fetch MT messages automatically
+    decode: false, // decode tagged MT payloads (see lib/codec.js) and emit them as 'decodedmessage'
+    receiveMode: 'binary', // read MT messages with AT+SBDRB ('binary', Buffers) or AT+SBDRT ('text', strings)
+    port: "/dev/ttyUSB0", // serial device, or "tcp://host:port" for a modem shared over the network
+    transport: null, // a Duplex stream (or a function returning one) to use instead, e.g. a ModemSimulator
+    signalPollInterval: 10000, // how often waitForSignal polls +CSQ when the signal is not monitored
+    timeEpoch: null, // epoch of the Iridium system time (default May 11, 2014), see lib/time.js
+    power: null, // power control of the modem's on/off line, see powerOn
+    watchdog: null, // true (or options) to ping the modem and reconnect when it is lost, see lib/watchdog.js
+    init: null, // initialization profile - a name ('default', 'preserve', 'minimal') or options, see lib/init.js
+    flowControl: false
+};
 
-var iridium = {
-    buffer: "",
-    data: "",
-    messagePending:0,
-    binary: {mode: false, buffer: new Buffer(512), bufferCounter: 0},    
-    errors: [
+// a single Iridium 9602/9603 modem - every instance owns its own serial port,
+// command state, buffers and events, so several modems can be driven from the
+// same process
+function IridiumSbd(config) {
+    EventEmitter.call(this);
+
+    this.messagePending = 0;
+    this.errors = [
         /ERROR/
-    ],    
-    lock:0,
-    pending:0,
-    globals: {
-        bars:0,
-        baudrate: 19200, //serial baudrate for the RockBlock
-        debug: 0, //should send extra debug info to the console
-        defaultTimeout: 60000, // 60 seconds general timeout for all commands
-        simpleTimeout: 2000, // 2 seconds timeout for simple command such as "echo off" (ATE0)
-        timeoutForever: -1,
-        maxAttempts: 10, //max attempts to send a message
-        port: "/dev/ttyUSB0",
-        flowControl: false
-    },    
-    // emit a 'ringalert' event if the SBDRING unsollicited response is received
-    sbdring: function() {
-        iridiumEvents.emit('ringalert');
-    },
-    
-    // log if debug enabled
-    log: function(message) {
-        if(iridium.globals.debug){
-            //sys.log(message);
-            iridiumEvents.emit('debug', message);
-        }
-    },
-    on: function(ev, callback) {
-       iridiumEvents.on(ev, callback);
-    },
-    // interpret the automatic registration result
-    areg: function(line) {
-        var m = line.match(/^\+AREG:(\d+),(\d+)/);
-        var regevent = m[1];
-        var regerr = m[2];
-        iridium.log("Registration result: "+regevent+" with error "+regerr);
-    },
-    
-    unsollicited: {
+    ];
+    this.lock = 0;
+    this.pending = 0;
+    this.initialized = false;
+    this.initializing = false;
+    this.initError = null;
+    this.connection = 'closed'; // 'open', 'reconnecting' (watchdog) or 'failed' (it gave up)
+    this.watchdogState = null;
+    this.detachTransport = null;
+    this.autoReceive = null;
+    this.mailboxTimer = null;
+    this.reassembler = null;
+    this.signalMonitor = null;
+    this.signalHistory = new SignalHistory();
+    this.service = null;
+    this.powerState = 'on';
+    this.powerWaiting = [];
+    this.idleTimer = null;
+    this.idlePowerOff = false; // the modem was switched off by the idle timer
+    this.wakeWaiting = []; // commands that switch it on again
+    this.fragmentId = Math.floor(Math.random()*0x10000);
+    this.globals = {};
+    for (var key in DEFAULTS) {
+        this.globals[key] = DEFAULTS[key];
+    }
+
+    // this array contains all possible unsollicited response codes and their
+    // corresponding handling functions (a method name or a function) - use
+    // registerUnsolicited() to add more
+    this.unsollicited = {
       "SBDRING": {
-          pattern: /^SBDRING/, 
+          pattern: /^\+?SBDRING/,
           execute: 'sbdring'
       },
       "AREG": {
-          pattern: /^\+AREG/, 
+          pattern: /^\+AREG/,
           execute: 'areg'
+      },
+      "CIEV": {
+          pattern: /^\+CIEV/,
+          execute: 'ciev'
+      },
+      "HARDWARE FAILURE": {
+          pattern: /^HARDWARE FAILURE/,
+          execute: 'hardwareFailure'
       }
-    },
-    
-
-    // this is the modem initialization process - echo off, clear all buffers (MO & MT)
-    // query registration status (should return 2 = registered)
-    // enable ring alert (AT+SBDMTA=1)
-    
-    init: function() {
-        iridium.batchProcess([
-            iridium.echoOff,
-            iridium.clearBuffers,
-            iridium.enableRegistration,
-            iridium.ringAlertEnable,
-            iridium.initComplete
-            ]);
-    },
-    //
-    batchProcess: function(tasks) {
+    };
+
+    // AT commands waiting to be sent, executed one at a time
+    this.commands = new CommandQueue(this.execute.bind(this), this.syncCommand.bind(this));
+
+    // the stream to the modem and the framing of what it sends back
+    this.transport = null;
+    this.tracer = null;
+    this.protocol = new SbdProtocol();
+    this.protocol.on('data', this.receive.bind(this));
+    this.protocol.on('binary', this.receiveBinary.bind(this));
+
+    if (config) this.configure(config);
+}
+
+util.inherits(IridiumSbd, EventEmitter);
+
+// emit a 'ringalert' event if the SBDRING unsollicited response is received
+IridiumSbd.prototype.sbdring = function() {
+    this.emit('ringalert');
+};
+
+// log a message - "fields" are structured data about it (e.g. {err: err,
+// momsn: 12}) and "level" trace, debug (the default), info, warn or error.
+// Messages go to globals.logger if there is one, and to the 'debug' event if
+// debug is enabled
+IridiumSbd.prototype.log = function(message, fields, level) {
+    var log = this.globals.logger;
+    if (log && typeof log[level || 'debug'] == 'function') {
+        log[level || 'debug'](fields || {}, message);
+    }
+    if(this.globals.debug){
+        //sys.log(message);
+        this.emit('debug', message, fields || {});
+    }
+};
+
+// record a protocol trace to "target" (a file name or a writable stream)
+IridiumSbd.prototype.startTrace = function(target) {
+    var self = this;
+    self.stopTrace();
+    var recorder = self.tracer = new trace.TraceRecorder(target, function(err) {
+        // the modem works on without the trace
+        self.log("[SBD] Protocol trace failed, recording stopped: "+err.message, {err: err}, 'error');
+        if (self.tracer === recorder) self.tracer = null;
+    });
+};
+
+IridiumSbd.prototype.stopTrace = function(callback) {
+    var recorder = this.tracer;
+    this.tracer = null;
+    if (recorder) recorder.close(callback);
+    else if (callback) callback();
+};
+
+// interpret the automatic registration result and emit a 'registration' event
+IridiumSbd.prototype.areg = function(line) {
+    var registration = unsolicited.parseRegistration(line);
+    if (!registration) return;
+    this.log("Registration result: "+registration.event+" with error "+registration.error, registration, 'info');
+    this.emit('registration', registration);
+};
+
+// indicator event (enabled with AT+CIER) - emit 'signal' with the number of
+// bars, 'service' with the network service availability and 'antenna' with
+// the antenna fault status, plus 'indicator' for all of them
+IridiumSbd.prototype.ciev = function(line) {
+    var indicator = unsolicited.parseIndicator(line);
+    if (!indicator) return;
+
+    this.emit('indicator', indicator);
+    if (indicator.indicator == 'signal') this.signalReading(indicator.value);
+    else if (indicator.indicator == 'service') this.serviceReading(indicator.value == 1);
+    else if (indicator.indicator == 'antenna') this.emit('antenna', indicator.value == 1);
+};
+
+// a signal strength reading (+CIEV or +CSQ) - add it to the history and emit
+// 'signal' with the number of bars
+IridiumSbd.prototype.signalReading = function(bars) {
+    this.signalHistory.add(bars);
+    this.emit('signal', bars);
+};
+
+// emit 'service' when the network service availability changes
+IridiumSbd.prototype.serviceReading = function(available) {
+    if (available === this.service) return;
+    this.service = available;
+    this.emit('service', available);
+};
+
+// the modem reports a hardware failure - emit 'hardwarefailure' and fail the
+// command in progress, it will not get an answer
+IridiumSbd.prototype.hardwareFailure = function(line) {
+    var failure = unsolicited.parseHardwareFailure(line);
+    this.log("Hardware failure: subsystem "+failure.subsystem+", error "+failure.error, failure, 'error');
+    this.emit('hardwarefailure', failure);
+    if (this.commands.active) {
+        var err = new errors.IridiumError("Modem reported "+line.trim(), 'HARDWARE_FAILURE');
+        err.failure = failure;
+        this.commands.complete(err);
+    }
+};
+
+// handle an unsolicited result code matching pattern - handler is called with
+// the line and the match, and "this" set to the modem
+IridiumSbd.prototype.registerUnsolicited = function(name, pattern, handler) {
+    this.unsollicited[name] = {pattern: pattern, execute: handler};
+};
+
+IridiumSbd.prototype.unregisterUnsolicited = function(name) {
+    delete this.unsollicited[name];
+};
+
+// this is the modem initialization process - wait until the modem answers,
+// then run the steps of the initialization profile (globals.init, see
+// lib/init.js) - by default echo off, flow control, clear all buffers (MO & MT),
+// automatic registration (AT+SBDAREG=1) and ring alerts (AT+SBDMTA=1).
+// A failing step emits 'initfailed' with the error and the name of the step
+IridiumSbd.prototype.init = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.initialized = false;
+        self.initializing = true;
+        self.initError = null;
+
+        function failed(err, step) {
+            err.step = step;
+            self.initializing = false;
+            self.initError = err;
+            self.log("[SBD] Initialization failed at "+step+": "+(err.message || err), {err: err, step: step}, 'error');
+            self.emit('initfailed', err, step);
+            callback(err);
+        }
+
+        var options, steps;
+        try {
+            options = initProfile.resolve(self.globals.init);
+            steps = initProfile.steps(options, self.globals);
+        } catch (err) {
+            return failed(err, 'profile');
+        }
+
+        self.waitForModem(options.readyTimeout, options.retryInterval, function(err) {
+            if (err) return failed(err, 'ready');
+
+            var tasks = steps.map(function(step) {
+                return function(done) {
+                    var finish = function(err) {
+                        if (err) return done({error: err, step: step.name});
+                        done(null);
+                    };
+                    if (step.run) self[step.run](finish);
+                    else self.ATS(step.command, OK, ALL, finish, self.globals.simpleTimeout);
+                };
+            });
+            tasks.push(self.initComplete.bind(self));
+
+            self.batchProcess(tasks, function(err) {
+                if (err) return failed(err.error, err.step);
+                callback(null);
+            });
+        });
+    });
+};
+
+// call back once the modem answers AT - tried every "interval" ms until
+// "timeout" ms have passed, e.g. while it is still booting
+IridiumSbd.prototype.waitForModem = function(timeout, interval, callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var started = Date.now();
+        interval = interval || 1000;
+
+        // a modem that is still booting answers nothing late, no resync needed
+        function ping() {
+            self.queueCommand({command: "AT", end: OK, keep: ALL, timeout: interval, resync: false, callback: function(err) {
+                if (!err) return callback(null);
+                if (err instanceof errors.CancelledError || Date.now()-started >= (timeout || 0)) {
+                    return callback(new errors.IridiumError("Modem did not answer within "+(timeout || interval)+"ms", 'NOT_RESPONDING', true));
+                }
+                ping();
+            }});
+        }
+        ping();
+    });
+};
+//
+IridiumSbd.prototype.batchProcess = function(tasks, callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
         async.series(tasks, function(err, results) {
             if(err){
-                iridium.log("Batch process had error: ", err, results);
+                self.log("Batch process had error: "+err, {err: err, results: results}, 'error');
             }else{
-                iridium.log("Batch process completed OK", err, results);
+                self.log("Batch process completed OK", {results: results});
             }
-            
+            callback(err, results);
         });
-    },
-    
-    initComplete: function(callback) {
-      iridiumEvents.emit('initialized');
-      iridium.log("[SBD] IRIDIUM INITIALIZED");
-      callback(null);
-    },
-    
-    
-    sendCompressedMessage: function(text, callback){
-      zlib.deflateRaw(new Buffer(text,'utf-8'), function(err, buffer) {
-          if (!err) {
-            iridium.log("Text compressed, initial length "+text.length+", compressed length "+buffer.length);
-            
-            iridium.c_attempt = 0;
-            iridium.mailboxSend(buffer, callback);
-            }
-      });    
-    },
+    });
+};
+
+IridiumSbd.prototype.initComplete = function(callback) {
+  // done before 'initialized', whose listeners may ask getState()
+  this.initializing = false;
+  this.initialized = true;
+  if (this.globals.autoReceive && !this.autoReceive) {
+      this.enableAutoReceive((this.globals.autoReceive === true)?{}:this.globals.autoReceive);
+  }
+  this.emit('initialized');
+  this.log("[SBD] IRIDIUM INITIALIZED", null, 'info');
+  callback(null);
+};
+
+// deflate "text" and send it - as several fragments (see sendLargeMessage) if
+// it is still longer than an SBD message
+IridiumSbd.prototype.sendCompressedMessage = function(text, callback, retryPolicy){
+  var self = this;
+  return fromCallback(callback, function(callback) {
+    zlib.deflateRaw(Buffer.from(text,'utf-8'), function(err, buffer) {
+        if (err) return callback(err);
 
-    mailboxCheck: function() {
-        if (iridium.lock) {
-          iridium.pending++;
+        self.log("Text compressed, initial length "+text.length+", compressed length "+buffer.length);
+
+        if (buffer.length > fragment.MO_MAX_LENGTH) self.sendLargeMessage(buffer, callback, retryPolicy);
+        else self.mailboxSend(buffer, callback, retryPolicy);
+    });
+  });
+};
+
+// check the mailbox for MT messages - if a session is already in progress the
+// check is only counted and done once it completes. Mailbox checks are then
+// repeated for as long as the gateway reports queued MT messages
+//
+// it is usually called fire and forget (e.g. on 'ringalert'), so a failed
+// check is emitted as 'mailboxerror' and never becomes an unhandled rejection
+IridiumSbd.prototype.mailboxCheck = function(callback) {
+    var self = this;
+    var promise = fromCallback(callback, function(callback) {
+        if (self.lock) {
+          self.pending++;
+          callback(null);
         } else {
-          iridium.sendMessage("");
+          self.sendMessage("", function(err, session) {
+            if (err) self.emit('mailboxerror', err);
+            callback(err, session);
+          });
         }
-    },
-    
-    mailboxSend: function(buffer, callback){
-        iridium.c_attempt++;
-        if(iridium.c_attempt <= iridium.globals.maxAttempts){            
-            iridium.lock=1;
-            iridium.sendBinaryMessage(buffer, function(err, momsn) {
-          if (err==null) {
-              if (buffer) iridium.log("[SBD] Binary message sent successfully, assigned MOMSN "+momsn);
-    
-              // check to see if there are other messages pending - if there are, send a new mailbox check to fetch them in 1 second
-              if (iridium.pending>0) setTimeout(function() {
-                  iridium.sendMessage("");
-              }, 1000);
-              else {
-                  iridium.lock=0;
-              }
-              callback(false,momsn);
-              
-          } else {
-              iridium.log("[SBD] Iridium returned error "+err+", will retry in 20s");
-              setTimeout(function() {
-                  iridium.mailboxSend(buffer, callback);
-              }, 20000);
-          }
-    
-            });    
-        }else{
-            iridium.log('[SBD] Failed to send. The maxAttempts of send requests has been reached.');
-            callback({error:'Failed to send. The maxAttempts of send requests has been reached.'});
+    });
+    if (promise) promise.catch(function() {});
+    return promise;
+};
+
+// send a binary message, retrying failed sessions according to the retry
+// policy (globals.retryPolicy or the one passed in) - every attempt emits an
+// 'attempt' event with the attempt number and the reason for it
+IridiumSbd.prototype.mailboxSend = function(buffer, callback, retryPolicy){
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var policy = self.getRetryPolicy(retryPolicy);
+        var started = Date.now();
+        var attempt = 0;
+
+        function done(err, session) {
+            callback(err, session);
+        }
+
+        // an attempt waits for the network no longer than the deadline allows
+        function networkWait() {
+            var wait = self.globals.networkWait;
+            if (!policy.deadline) return wait;
+            var remaining = Math.max(1, policy.deadline-(Date.now()-started));
+            return wait?Math.min(wait, remaining):remaining;
+        }
+
+        function tryAgain(err) {
+            if (!policy.shouldRetry(err, attempt)) {
+                if (attempt >= policy.maxAttempts) {
+                    self.log('[SBD] Failed to send. The maxAttempts of send requests has been reached.', {attempt: attempt, err: err}, 'error');
+                    return done(attemptError("Failed to send. The maxAttempts of send requests has been reached.", 'MAX_ATTEMPTS', err));
+                }
+                self.log("[SBD] Failed to send, error "+err+" is not retryable", {attempt: attempt, err: err}, 'error');
+                return done(err);
+            }
+
+            var delay = policy.delay(attempt, err);
+            if (policy.expired(started, delay)) {
+                self.log('[SBD] Failed to send. The retry deadline has been reached.', {attempt: attempt, err: err}, 'error');
+                return done(attemptError("Failed to send. The retry deadline has been reached.", 'DEADLINE', err));
+            }
+
+            self.log("[SBD] Iridium returned error "+err+", will retry in "+Math.round(delay/1000)+"s", {attempt: attempt, delay: delay, err: err}, 'warn');
+            setTimeout(function() {
+                next(err.message);
+            }, delay);
+        }
+
+        function next(reason) {
+            attempt++;
+            self.emit('attempt', {attempt: attempt, maxAttempts: policy.maxAttempts, reason: reason});
+
+            self.checkSignal(policy.minBars, function(err) {
+                if (err) return tryAgain(err);
+
+                self.sendBinaryMessage(buffer, function(err, session) {
+                    if (err) return tryAgain(err);
+
+                    if (buffer) self.log("[SBD] Binary message sent successfully, assigned MOMSN "+session.momsn+" after "+attempt+" attempt(s)", {momsn: session.momsn, attempt: attempt}, 'info');
+                    done(null, session);
+                }, networkWait());
+            });
+        }
+
+        next("first attempt");
+    });
+};
+
+// encode "value" with a codec (see lib/codec.js) and send it, as several
+// fragments if it does not fit in a single message
+IridiumSbd.prototype.sendEncodedMessage = function(value, codecName, callback, retryPolicy) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var buffer;
+        try {
+            buffer = codec.encode(value, codecName);
+        } catch (err) {
+            return callback(err);
+        }
+
+        self.log("Message encoded with codec "+codecName+", length "+buffer.length);
+        if (buffer.length > fragment.MO_MAX_LENGTH) self.sendLargeMessage(buffer, callback, retryPolicy);
+        else self.mailboxSend(buffer, callback, retryPolicy);
+    });
+};
+
+// decode a tagged payload and emit it as a 'decodedmessage' event with the
+// value, the codec name and the number of queued messages - payloads which
+// cannot be decoded are emitted as 'decodeerror' with the error and the payload
+IridiumSbd.prototype.decodeMessage = function(message, queued) {
+    var decoded;
+    try {
+        decoded = codec.decode(message);
+    } catch (err) {
+        this.log("[SBD] Cannot decode message: "+err.message, {err: err}, 'warn');
+        this.emit('decodeerror', err, message);
+        return;
+    }
+    this.emit('decodedmessage', decoded.value, decoded.codec, queued);
+};
+
+// send a message of any length - it is split into fragments (see
+// lib/fragment.js) sent one after the other with mailboxSend, and called back
+// with the sessions of all of them
+IridiumSbd.prototype.sendLargeMessage = function(message, callback, retryPolicy) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var buffer = (message instanceof Buffer)?message:Buffer.from(message);
+        var fragments;
+        try {
+            self.fragmentId = (self.fragmentId+1) & 0xffff;
+            fragments = fragment.split(buffer, self.fragmentId);
+        } catch (err) {
+            return callback(err);
+        }
+
+        self.log("[SBD] Sending "+buffer.length+" bytes as "+fragments.length+" fragment(s)");
+        async.mapSeries(fragments, function(data, done) {
+            self.mailboxSend(data, done, retryPolicy);
+        }, callback);
+    });
+};
+
+// reassemble fragmented MT messages - every complete message received is
+// emitted as 'message' with the message and its fragment id (null for
+// messages that were not fragmented)
+// options:
+//   timeout - drop incomplete messages after this many ms (default 1 hour)
+IridiumSbd.prototype.enableReassembly = function(options) {
+    var self = this;
+    self.disableReassembly();
+
+    var reassembler = self.reassembler = new fragment.Reassembler(options);
+    reassembler.on('message', function(message, id) {
+        self.emit('message', message, id);
+        // unfragmented messages are decoded as they are read
+        if (self.globals.decode && id !== null) self.decodeMessage(message, null);
+    });
+    reassembler.on('expired', function(id, received, count) {
+        self.log("[SBD] Dropped incomplete message "+id+", received "+received+" of "+count+" fragments");
+    });
+    reassembler.on('corrupt', function(err, id) {
+        self.log("[SBD] Dropped reassembled message "+id+": "+err.message);
+    });
+    reassembler.newmessage = function(message, queued, bytes) {
+        if (typeof message == 'string') message = bytes || Buffer.from(message, 'binary');
+        if (!reassembler.push(message)) self.emit('message', message, null);
+    };
+    self.on('newmessage', reassembler.newmessage);
+};
+
+IridiumSbd.prototype.disableReassembly = function() {
+    if (!this.reassembler) return;
+    this.removeListener('newmessage', this.reassembler.newmessage);
+    this.reassembler.clear();
+    this.reassembler = null;
+};
+
+// mark an SBD session as in progress until the returned callback is called -
+// mailbox checks requested meanwhile are held back (counted in "pending") and
+// done once no session is running any more
+IridiumSbd.prototype.beginSession = function(callback) {
+    var self = this;
+    self.lock++;
+    return function(err, session) {
+        self.lock--;
+        if (!self.lock && self.pending > 0) self.scheduleMailboxCheck(1000);
+        callback(err, session);
+    };
+};
+
+// check the mailbox in "delay" ms (or once the sessions in progress end), and
+// again for as long as the gateway has MT messages queued
+IridiumSbd.prototype.scheduleMailboxCheck = function(delay) {
+    var self = this;
+    if (self.mailboxTimer) return;
+
+    self.mailboxTimer = setTimeout(function() {
+        self.mailboxTimer = null;
+        if (self.lock || self.pending <= 0) return;
+
+        self.pending = 0;
+        self.sendMessage("", function(err) {
+            if (!err) return;
+
+            self.log("[SBD] Mailbox check failed: "+err, {err: err}, 'warn');
+            self.emit('mailboxerror', err);
+            // in auto receive mode the messages are still worth fetching later
+            if (self.autoReceive) {
+                self.pending++;
+                self.scheduleMailboxCheck(self.autoReceive.retryDelay);
+            }
+        });
+    }, delay);
+};
+
+// automatically fetch MT messages: ring alerts, a non-zero MT queued count of
+// any session and (optionally) a periodic poll all trigger mailbox checks
+// options:
+//   pollInterval - also check the mailbox every pollInterval ms (default 0, never)
+//   retryDelay   - how long to wait after a failed mailbox check in ms (default 30s)
+IridiumSbd.prototype.enableAutoReceive = function(options) {
+    var self = this;
+    options = options || {};
+    self.disableAutoReceive();
+
+    var check = function() {
+        self.mailboxCheck(function(err) {
+            if (err) self.log("[SBD] Mailbox check failed: "+err);
+        });
+    };
+    self.autoReceive = {
+        retryDelay: options.retryDelay || 30000,
+        ringalert: check,
+        timer: options.pollInterval?setInterval(check, options.pollInterval):null
+    };
+    self.on('ringalert', check);
+};
+
+IridiumSbd.prototype.disableAutoReceive = function() {
+    if (!this.autoReceive) return;
+    this.removeListener('ringalert', this.autoReceive.ringalert);
+    clearInterval(this.autoReceive.timer);
+    this.autoReceive = null;
+};
+
+// keep watching the signal strength - with indicator reporting kept on
+// (AT+CIER=1,1,1,0), or by polling +CSQ every "interval" ms. Readings emit
+// 'signal' and go to the signal history, availability changes emit 'service'.
+// It is usually started fire and forget, so a failure to turn the indicator
+// reporting on is emitted as 'signalerror' and never an unhandled rejection
+// options:
+//   interval - poll +CSQ every interval ms instead of using indicator reporting
+//   history  - options of the SignalHistory (size, maxAge)
+IridiumSbd.prototype.startSignalMonitoring = function(options, callback) {
+    var self = this;
+    if (typeof options == 'function') {
+        callback = options;
+        options = null;
+    }
+    options = options || {};
+    var promise = fromCallback(callback, function(callback) {
+        self.stopSignalMonitoring(function() {});
+        if (options.history) self.signalHistory = new SignalHistory(options.history);
+
+        if (!options.interval) {
+            self.signalMonitor = {interval: 0};
+            self.ATS("AT+CIER=1,1,1,0", OK, ALL, function(err) {
+                if (err) {
+                    self.log("[SBD] Turning on the signal indicator failed: "+err, {err: err}, 'warn');
+                    self.emit('signalerror', err);
+                }
+                callback(err);
+            }, self.globals.simpleTimeout);
+            return;
+        }
+
+        var poll = function() {
+            // no point in piling up polls behind a long command
+            if (self.commands.length() || self.commands.active) return;
+            self.getSignalQuality(function(err, bars) {
+                if (err) self.log("[SBD] Signal poll failed: "+err);
+                else self.serviceReading(bars > 0);
+            });
+        };
+        self.signalMonitor = {interval: options.interval, timer: setInterval(poll, options.interval)};
+        poll();
+        callback(null);
+    });
+    if (promise) promise.catch(function() {});
+    return promise;
+};
+
+IridiumSbd.prototype.stopSignalMonitoring = function(callback) {
+    var monitor = this.signalMonitor;
+    this.signalMonitor = null;
+    if (monitor) clearInterval(monitor.timer);
+    if (monitor && !monitor.interval && this.initialized) return this.disableSignalMonitoring(callback);
+    return fromCallback(callback, function(callback) {
+        callback(null);
+    });
+};
+
+// statistics of the recent signal readings: {count, min, avg, max, last, since}
+IridiumSbd.prototype.getSignalStats = function() {
+    return this.signalHistory.stats();
+};
+
+// call back with the number of bars once the signal reaches minBars, or with
+// a LOW_SIGNAL error after "timeout" ms (0 to wait forever) - +CSQ is polled
+// meanwhile unless the signal is already monitored
+IridiumSbd.prototype.waitForSignal = function(minBars, timeout, callback) {
+    var self = this;
+    if (typeof timeout == 'function') {
+        callback = timeout;
+        timeout = 0;
+    }
+    return fromCallback(callback, function(callback) {
+        var timer = null, poll = null, done = false;
+
+        function finish(err, bars) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            clearInterval(poll);
+            self.removeListener('signal', signal);
+            callback(err, bars);
+        }
+
+        function signal(bars) {
+            if (bars >= minBars) finish(null, bars);
         }
-    },
-    
-    sendBinaryMessage: function(message, callback, maxWait) {
-    
+
+        function check() {
+            self.getSignalQuality(function(err) {
+                if (err) self.log("[SBD] Signal check failed: "+err);
+            });
+        }
+
+        // no point in piling up polls behind a long command (e.g. a session)
+        function pollIfIdle() {
+            if (!self.commands.length()) check();
+        }
+
+        self.on('signal', signal);
+        if (timeout > 0) {
+            timer = setTimeout(function() {
+                finish(new errors.IridiumError("Signal did not reach "+minBars+" bars within "+timeout+"ms", 'LOW_SIGNAL', true));
+            }, timeout);
+        }
+        if (!self.signalMonitor) poll = setInterval(pollIfIdle, self.globals.signalPollInterval);
+        check();
+    });
+};
+
+// the error a send gives up with, "cause" is the error of the last attempt
+function attemptError(message, code, cause) {
+    var err = new errors.IridiumError(message, code);
+    err.cause = cause;
+    return err;
+}
+
+// the retry policy to use - a policy object, or options for a RetryPolicy
+IridiumSbd.prototype.getRetryPolicy = function(policy) {
+    policy = policy || this.globals.retryPolicy;
+    if (policy && typeof policy.delay == 'function') return policy;
+
+    var options = {maxAttempts: this.globals.maxAttempts};
+    for (var key in policy) {
+        options[key] = policy[key];
+    }
+    return new RetryPolicy(options);
+};
+
+// call back with a retryable error if the signal is below minBars
+IridiumSbd.prototype.checkSignal = function(minBars, callback) {
+    var self = this;
+    if (!minBars) return callback(null);
+
+    self.getSignalQuality(function(err, bars) {
+        if (err) return callback(err);
+        if (bars < minBars) {
+            return callback(new errors.IridiumError("Signal too weak to send, "+bars+" of "+minBars+" bars", 'LOW_SIGNAL', true));
+        }
+        callback(null, bars);
+    });
+};
+
+IridiumSbd.prototype.sendBinaryMessage = function(message, callback, maxWait) {
+  var self = this;
+  return fromCallback(callback, function(callback) {
       if (message.length==0) {
-          iridium.sendMessage(message, callback, maxWait);
+          self.sendMessage(message, callback, maxWait);
           return;
       }
-    
-      var buffer = (message instanceof Buffer)?message:new Buffer(message);    
-    
+
+      var buffer = (message instanceof Buffer)?message:Buffer.from(message);
+      // the modem would never say READY (see sendLargeMessage for longer messages)
+      if (buffer.length > fragment.MO_MAX_LENGTH) {
+          callback(new errors.IridiumError("Binary message of "+buffer.length+" bytes is longer than "+fragment.MO_MAX_LENGTH+" bytes", 'MESSAGE_TOO_LONG'));
+          return;
+      }
+
+      callback = self.beginSession(callback);
+
       var command = "AT+SBDWB="+buffer.length;
-    
-      var ob = new Buffer(buffer.length+2);
+
+      var ob = Buffer.alloc(buffer.length+2);
       var sum = 0;
       for (var i=0;i<buffer.length;i++) {
           ob[i]=buffer[i];
@@ -187,455 +767,1210 @@ var iridium = {
       ob[buffer.length+1]=sum&0xff;
       sum>>=8;
       ob[buffer.length]=sum&0xff;
-      
-     
-    
-      // first write the binary message to storage - issue AT+SBDWB and wait for the modem to say READY 
-      iridium.AT(command, /READY/, ALL, function(err, text) {
-    
+
+
+
+      // first write the binary message to storage - issue AT+SBDWB and wait for the modem to say
+      // READY, or for the OK after the status of a write it refuses (e.g. 3, wrong size) so that
+      // OK does not end the next command
+      self.AT(command, /READY|^OK\r/, ALL, function(err, text) {
+          err = err || (/READY/.test(text)?null:writeError(text));
           if (err) {
-              iridium.messagePending = 0;
-              iridium.clearMOBuffers(function() {
+              self.messagePending = 0;
+              self.clearMOBuffers(function() {
                   callback(err);
               });
               return;
           }
-    
+
           // send the binary message and wait for OK
-          iridium.ATS(ob, OK, ALL, function(berr) {
+          self.ATS(ob, OK, ALL, function(berr, result) {
+              berr = berr || writeError(result);
               if (berr) {
-                  iridium.messagePending = 0;
-                  iridium.clearMOBuffers(function() {
+                  self.messagePending = 0;
+                  self.clearMOBuffers(function() {
                       callback(berr);
                   });
                   return;
               }
-    
-    
-             iridium.messagePending = 1;
-              iridium.waitForNetwork(function(xerr) {
-         
+
+
+             self.messagePending = 1;
+              self.waitForNetwork(function(xerr) {
+
                   if (xerr) {
-                      iridium.messagePending = 0;
-                      iridium.clearMOBuffers(function() {
+                      self.messagePending = 0;
+                      self.clearMOBuffers(function() {
                           callback(xerr);
                       });
                       return;
                   }
-    
-    
-    
-                  iridium.messagePending=2;
-                  iridium.disableSignalMonitoring(function(xcallback) {
-                      iridium.initiateSession(callback);
+
+
+
+                  self.messagePending=2;
+                  self.restoreSignalMonitoring(function(xcallback) {
+                      self.initiateSession(callback);
                   });
-              }, iridium.globals.maxWait);
-    
+              }, maxWait);
+
           });
       });
-    },
-    // send a message via SBD and call back when done
-    sendMessage: function(message, callback, maxWait) {
-    
-        // if no message is given, this is a mailbox check, so clear the MO storage
-        var command = message?"AT+SBDWT="+message:"AT+SBDD0"; 
-       
-        // write the MO message, wait for network (+CIEV event)
+  });
+};
+// the status the modem answers the data of AT+SBDWB with: 0 written,
+// 1 timeout, 2 checksum mismatch, 3 wrong message size
+function writeError(result) {
+    var m = result && result.match(/^(\d)\r?$/m);
+    var status = m?Number(m[1]):0;
+    if (status == 2) return new errors.ChecksumError(null, null);
+    if (status == 1) return new errors.IridiumError("Modem timed out waiting for the binary message", 'WRITE_TIMEOUT', true);
+    if (status == 3) return new errors.IridiumError("Binary message size is not correct", 'WRITE_SIZE');
+    return null;
+}
+
+// write a text message to the MO buffer - short texts with AT+SBDWT=<text>,
+// the others with AT+SBDWT, READY, then the text (see lib/text.js)
+IridiumSbd.prototype.writeText = function(message, callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var prepared = textMessage.prepare(message);
+        if (prepared instanceof Error) return callback(prepared);
+
+        if (!prepared.twoStep) {
+            self.AT("AT+SBDWT="+prepared.text, OK, ALL, callback);
+            return;
+        }
+        self.AT("AT+SBDWT", /^READY\r/, ALL, function(err) {
+            if (err) return callback(err);
+            // the text is a "command" of its own, terminated by the carriage return
+            self.AT(prepared.text, OK, ALL, function(err, result) {
+                callback(err || writeError(result), result);
+            });
+        }, self.globals.simpleTimeout);
+    });
+};
+
+// send a message via SBD and call back when done
+IridiumSbd.prototype.sendMessage = function(message, callback, maxWait) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        callback = self.beginSession(callback);
+
+        // write the MO message (if no message is given, this is a mailbox
+        // check, so clear the MO storage), wait for network (+CIEV event)
         // disable signal monitoring (+CIER=0) then send the message (+SBDIXA)
-     
-        iridium.AT(command, OK, ALL, function(err, text) {
-    
+        var write = function(callback) {
+            if (message) self.writeText(message, callback);
+            else self.AT("AT+SBDD0", OK, ALL, callback);
+        };
+
+        write(function(err, text) {
+
             if (err) {
-                iridium.messagePending = 0;
-                iridium.clearMOBuffers(function() {
+                self.messagePending = 0;
+                self.clearMOBuffers(function() {
                     callback(err);
                 });
                 return;
             }
-    
-            iridium.messagePending = 1;
-            iridium.waitForNetwork(function(xerr) {
-           
+
+            self.messagePending = 1;
+            self.waitForNetwork(function(xerr) {
+
                 if (xerr) {
-                    iridium.messagePending = 0;
-                    iridium.clearMOBuffers(function() {
+                    self.messagePending = 0;
+                    self.clearMOBuffers(function() {
                         callback(xerr);
                     });
                     return;
                 }
-    
-    
-    
-                iridium.messagePending=2;
-                iridium.disableSignalMonitoring(function(xcallback) {
-                    iridium.initiateSession(callback);
+
+
+
+                self.messagePending=2;
+                self.restoreSignalMonitoring(function(xcallback) {
+                    self.initiateSession(callback);
                 });
             }, maxWait);
         });
-    },
-        
-    // in binary mode we do not stop at OK or any other regexp, it's all time-based (it reads all available data for bufferTimeout seconds)
-    enableBinaryMode: function(bufferTimeout) {
-        iridium.binary.mode = true;
-        setTimeout(function() {
-            var ob = new Buffer(iridium.binary.bufferCounter);
-            iridium.binary.buffer.copy(ob, 0, 0, ob.length);
-            serialEmitter.emit('data', ob);
-            iridium.binary.bufferCounter = 0;
-            iridium.binary.mode = false;
-        }, bufferTimeout);
-    },
-    
-    // read line by line or a whole binary blob, depending on the mode
-    readSBD: function(emitter, buffer) {
-        serialEmitter = emitter;
-
-        if (iridium.binary.mode) {
-            buffer.copy(iridium.binary.buffer, iridium.binary.bufferCounter);
-            iridium.binary.bufferCounter+=buffer.length;
+    });
+};
+
+// change globals...
+IridiumSbd.prototype.configure = function(config) {
+    for(var key in config){
+        if(typeof this.globals[key]!='undefined'){ this.globals[key] = config[key]; }
+        this.log('set option: '+key+": "+config[key]);
+    }
+};
+
+// open the serial port
+// config options are: "debug" (set to 1 to monitor the AT commands and response
+// and "port" (the actual device to use - defaults to /dev/ttyUSB0)
+// the callback (or the returned promise) completes once the modem is initialized
+
+IridiumSbd.prototype.open = function(config, callback) {
+    var self = this;
+
+    if (typeof config == 'function') {
+        callback = config;
+        config = null;
+    }
+    if (config) {
+        self.configure(config);
+    }
+
+    var promise = fromCallback(callback, function(callback) {
+        // a modem given up on (or closed while reconnecting) starts over
+        self.stopWatchdog();
+        self.connection = 'closed';
+        self.commands.resume();
+        self.openPort(function(err) {
+            if (!err && self.globals.watchdog) self.startWatchdog(self.globals.watchdog);
+            callback(err);
+        });
+    });
+    // callers that only listen for the 'initialized' event never look at the
+    // promise, so a failed initialization must not become an unhandled rejection
+    if (promise) promise.catch(function() {});
+    return promise;
+};
+
+IridiumSbd.prototype.openPort = function(callback) {
+    var self = this;
+    var opened = false;
+
+    if (self.globals.trace && !self.tracer) self.startTrace(self.globals.trace);
+    self.protocol.reset();
+    if (self.tracer) self.tracer.reset();
+    var transport = self.transport = transports.create(self.globals);
+    // once detached (closeTransport) its events are ignored
+    var attached = true;
+    self.detachTransport = function() {
+        attached = false;
+    };
+    transport.on("data", function (chunk) {
+        if (!attached) return;
+        if (self.tracer) self.tracer.raw(chunk);
+        self.protocol.write(chunk);
+    });
+    transport.on("error", function (error) {
+        if (!attached) return;
+        self.log("ERROR: "+error, {err: error}, 'error');
+        if (!opened) callback(error);
+        else self.connectionLost(new errors.IridiumError("Port error: "+(error.message || error), 'PORT_ERROR', true));
+    });
+    transport.on("close", function () {
+        if (!attached) return;
+        self.connectionLost(new errors.IridiumError("Port closed", 'PORT_CLOSED', true));
+    });
+
+    function ready() {
+        if (!attached) return;
+        opened = true;
+        if (self.connection == 'closed') self.connection = 'open';
+        // with power control the modem is switched on first
+        if (self.globals.power) {
+            self.powerState = 'off';
+            self.powerOn(callback);
+        } else {
+            self.setup(callback);
         }
-        else {
-            // Collect data
-            iridium.data += buffer.toString('binary');
-            // Split collected data by delimiter
-            var parts = iridium.data.split("\n")
-            iridium.data = parts.pop();
-            parts.forEach(function (part, i, array) {
-                emitter.emit('data', part);
+    }
+
+    if (transport.isOpen === false) {
+        transport.on("open", ready);
+    } else {
+        process.nextTick(ready);
+    }
+};
+
+// the initialization process, once the port is open or the modem powered on -
+// flow control is one of its steps
+IridiumSbd.prototype.setup = function(callback) {
+    return this.init(callback);
+};
+
+// power control options (globals.power):
+//   adapter     - the on/off line, see lib/power.js (e.g. power.gpio(17))
+//   line        - or 'dtr' / 'rts' to use a serial port control line
+//   activeLow   - the serial line is inverted (default false)
+//   bootTimeout - how long to wait for the modem to answer after power-up in ms (default 30s)
+//   idleTimeout - power the modem off after this many ms without commands (default 0, never)
+IridiumSbd.prototype.powerLine = function() {
+    var options = this.globals.power || {};
+    if (options.adapter) return power.adapter(options.adapter);
+    return power.serialLine(this.transport, options.line, options.activeLow);
+};
+
+// switch the modem on, wait until it answers AT and run the initialization
+// again - emits 'poweron' once it is ready
+IridiumSbd.prototype.powerOn = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        if (self.powerState == 'on') return callback(null);
+        self.idlePowerOff = false;
+        self.powerWaiting.push(callback);
+        if (self.powerState == 'starting') return;
+
+        var options = self.globals.power || {};
+        var bootTimeout = options.bootTimeout || 30000;
+        var started = Date.now();
+        self.powerState = 'starting';
+
+        function done(err) {
+            self.powerState = err?'off':'on';
+            if (!err) {
+                self.emit('poweron');
+                self.scheduleIdle();
+            }
+            var waiting = self.powerWaiting;
+            self.powerWaiting = [];
+            waiting.forEach(function(callback) {
+                callback(err);
             });
         }
-    },
-    
-    
-    // open the serial port
-    // config options are: "debug" (set to 1 to monitor the AT commands and response
-    // and "port" (the actual device to use - defaults to /dev/ttyUSB0)
-    
-    open: function(config) {
-        
-        if (config) {
-            //change globals...
-                for(var key in config){
-                    if(typeof iridium.globals[key]!='undefined'){ iridium.globals[key] = config[key]; }
-                    iridium.log('set option: '+key+": "+config[key]);
+
+        // the modem does not answer until it has booted (so a ping that timed
+        // out gets no late answer either)
+        function ping() {
+            self.queueCommand({command: "AT", end: OK, keep: ALL, timeout: 1000, resync: false, callback: function(err) {
+                if (!err) return self.setup(done);
+                if (Date.now()-started >= bootTimeout) {
+                    return done(new errors.IridiumError("Modem did not answer within "+bootTimeout+"ms of power-up", 'POWER_ON_TIMEOUT', true));
                 }
-/*
-            if (config.debug) debug=config.debug;
-            if (config.port) port=config.port;
-                    iridium.globals.flowControl=!!config.flowControl;
-*/
+                ping();
+            }});
         }
-        serialPort = new SerialPort(iridium.globals.port, {
-            baudrate: iridium.globals.baudrate,
-            buffersize: 512,
-            parser: iridium.readSBD
+
+        self.log("[SBD] Powering the modem on");
+        self.powerLine().set(true, function(err) {
+            if (err) return done(err);
+            ping();
+        });
+    });
+};
+
+// flush the modem's memory (AT*F), then switch it off - commands still
+// waiting are cancelled, and new ones fail with POWERED_OFF until powerOn
+// (unless the idle timer switched it off, see queueCommand)
+IridiumSbd.prototype.powerOff = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        if (self.powerState == 'off') return callback(null);
+        self.idlePowerOff = false;
+        clearTimeout(self.idleTimer);
+        self.idleTimer = null;
+        self.powerState = 'stopping';
+
+        self.ATS("AT*F", OK, ALL, function(err) {
+            if (err) self.log("[SBD] Flush before power-down failed: "+err);
+
+            self.powerState = 'off';
+            self.initialized = false;
+            self.commands.commands.slice().forEach(function(command) {
+                self.commands.cancel(command);
+            });
+            self.log("[SBD] Powering the modem off");
+            self.powerLine().set(false, function(err) {
+                if (!err) self.emit('poweroff');
+                callback(err || null);
+                // commands were queued while it was being switched off
+                if (self.wakeWaiting.length) self.wake();
+            });
+        }, self.globals.simpleTimeout);
+    });
+};
+
+// with an idleTimeout, power the modem off once nothing happened for that long
+IridiumSbd.prototype.scheduleIdle = function() {
+    var self = this;
+    var idleTimeout = self.globals.power && self.globals.power.idleTimeout;
+    clearTimeout(self.idleTimer);
+    self.idleTimer = null;
+    if (!idleTimeout || self.powerState != 'on' || !self.transport) return;
+
+    self.idleTimer = setTimeout(function() {
+        self.idleTimer = null;
+        if (self.commands.length() || self.lock) return self.scheduleIdle();
+        self.log("[SBD] Modem idle for "+idleTimeout+"ms");
+        self.powerOff(function(err) {
+            if (err) self.log("[SBD] Power-down failed: "+err);
         });
-        serialPort.on("data", function (data) {
-            iridium.log("< "+data);
-            if (!er) {
-                df(null, data);
-                delete(df);
-                delete(er);
+        self.idlePowerOff = true;
+    }, idleTimeout);
+};
+
+// switch a modem the idle timer powered off on again for the commands queued
+// meanwhile, which are queued once it is ready (or fail if it does not start)
+IridiumSbd.prototype.wake = function() {
+    var self = this;
+    self.log("[SBD] Powering the modem on for "+self.wakeWaiting.length+" queued command(s)");
+    self.powerOn(function(err) {
+        // the next command tries again
+        if (err) self.idlePowerOff = true;
+        var waiting = self.wakeWaiting;
+        self.wakeWaiting = [];
+        waiting.forEach(function(command) {
+            if (err) command.callback(err);
+            else self.queueCommand(command);
+        });
+    });
+};
+
+// the error of commands that could not be completed because the modem is gone
+function disconnectedError(retryable) {
+    return new errors.IridiumError("Connection to the modem lost", 'DISCONNECTED', retryable);
+}
+
+// the error of commands issued after close()
+function closedError() {
+    return new errors.IridiumError("Connection to the modem closed", 'CLOSED');
+}
+
+// ping the modem while it is idle and reconnect when it is lost, see
+// lib/watchdog.js for the options - started by open() with globals.watchdog
+IridiumSbd.prototype.startWatchdog = function(options) {
+    this.stopWatchdog();
+    this.watchdogState = {
+        options: watchdog.resolve(options),
+        failures: 0, // commands timed out in a row
+        attempt: 0, // attempts to reconnect so far
+        timer: null,
+        reconnectTimer: null
+    };
+    this.scheduleWatchdog();
+};
+
+IridiumSbd.prototype.stopWatchdog = function() {
+    if (!this.watchdogState) return;
+    clearTimeout(this.watchdogState.timer);
+    clearTimeout(this.watchdogState.reconnectTimer);
+    this.watchdogState = null;
+};
+
+// ping the modem in "delay" ms (default the watchdog interval) - a modem that
+// is busy, powered off or being initialized is left alone
+IridiumSbd.prototype.scheduleWatchdog = function(delay) {
+    var self = this;
+    var dog = self.watchdogState;
+    if (!dog) return;
+    clearTimeout(dog.timer);
+
+    dog.timer = setTimeout(function() {
+        dog.timer = null;
+        if (self.connection != 'open' || !self.initialized || self.powerState != 'on' || self.lock || self.commands.length()) {
+            return self.scheduleWatchdog();
+        }
+        // the answer (or timeout) is counted by commandDone
+        self.ATS("AT", OK, ALL, function(err) {
+            if (self.watchdogState !== dog || self.connection != 'open') return;
+            // the next ping follows right away, no need to wait a whole interval
+            self.scheduleWatchdog(err?dog.options.timeout:undefined);
+        }, dog.options.timeout);
+    }, (delay === undefined)?dog.options.interval:delay);
+};
+
+// count the result of every command - a modem that answers anything is there,
+// after "failures" timeouts in a row (pings or any other command) it is lost
+IridiumSbd.prototype.commandDone = function(err) {
+    var dog = this.watchdogState;
+    // no answer is expected while the modem boots
+    if (!dog || this.connection != 'open' || this.powerState != 'on') return;
+    if (!(err instanceof errors.TimeoutError)) {
+        dog.failures = 0;
+        return;
+    }
+    dog.failures++;
+    this.log("[SBD] Modem did not answer ("+dog.failures+" of "+dog.options.failures+"): "+err.message, {err: err}, 'warn');
+    if (dog.failures >= dog.options.failures) {
+        this.connectionLost(new errors.IridiumError("Modem stopped answering", 'NOT_RESPONDING', true));
+    }
+};
+
+// the port was closed or the modem stopped answering - emits 'disconnected'
+// with the reason, fails the command in progress (with a retryable
+// DISCONNECTED error, so mailboxSend tries again) and holds the queued ones
+// until the modem is back
+IridiumSbd.prototype.connectionLost = function(err) {
+    var self = this;
+    var dog = self.watchdogState;
+    if (!dog || self.connection != 'open') return;
+
+    self.log("[SBD] Connection lost: "+err.message, {err: err}, 'warn');
+    self.connection = 'reconnecting';
+    self.initialized = false;
+    clearTimeout(dog.timer);
+    dog.failures = 0;
+    dog.attempt = 0;
+
+    self.commands.pause();
+    self.closeTransport();
+    self.emit('disconnected', err);
+    self.commands.complete(disconnectedError(true));
+    self.reconnect();
+};
+
+// reopen the port and initialize the modem after the backoff delay, again
+// and again until it works or maxAttempts is reached - emits 'reconnected',
+// or 'reconnectfailed' with the last error when giving up
+IridiumSbd.prototype.reconnect = function() {
+    var self = this;
+    var dog = self.watchdogState;
+    if (!dog) return;
+
+    dog.attempt++;
+    var delay = watchdog.backoff(dog.options).delay(dog.attempt);
+    self.log("[SBD] Reconnecting in "+delay+"ms, attempt "+dog.attempt, null, 'info');
+
+    dog.reconnectTimer = setTimeout(function() {
+        dog.reconnectTimer = null;
+
+        // the commands that were waiting go first once the modem is initialized
+        var held = self.commands.commands.splice(0);
+        var finished = false;
+        self.commands.resume();
+
+        self.openPort(function(err) {
+            if (finished) return;
+            finished = true;
+            self.commands.commands = held.concat(self.commands.commands);
+            if (self.watchdogState !== dog) return self.commands.next();
+
+            if (err) {
+                self.log("[SBD] Reconnecting failed: "+(err.message || err), {err: err}, 'warn');
+                self.commands.pause();
+                self.closeTransport();
+                if (!dog.options.maxAttempts || dog.attempt < dog.options.maxAttempts) return self.reconnect();
+
+                self.connection = 'failed';
+                self.stopWatchdog();
+                self.commands.commands.slice().forEach(function(command) {
+                    self.commands.cancel(command, disconnectedError(false));
+                });
+                self.commands.resume();
+                self.log("[SBD] Giving up reconnecting after "+dog.attempt+" attempts", {err: err}, 'error');
+                self.emit('reconnectfailed', err);
                 return;
             }
-        
-            for (x in iridium.unsollicited) {
-                if (iridium.unsollicited[x].pattern.test(data)) {
-                    iridium[iridium.unsollicited[x].execute](data);
-                    return;
-                }
-            }
-    
-            for (x in iridium.errors) {
-                if (iridium.errors[x].test(data)) {
-                    df(iridium.errors[x], iridium.buffer);
-                    iridium.buffer="";
-                    delete(df);
-                    delete(er);
-                    return;
-                }
-            }
-     
-    
-            if (!kr || kr.test(data)) {
-                iridium.buffer+=(data+"\n");
-            }
-            if (er && er.test(data)) {
-                df(null, iridium.buffer);
-                iridium.buffer="";
-                delete(df);
-                delete(er);
-    
-        
-    
+
+            self.connection = 'open';
+            dog.attempt = 0;
+            self.log("[SBD] Reconnected", null, 'info');
+            self.emit('reconnected');
+
+            // the modem forgot the indicator reporting, and may have MT messages
+            if (self.signalMonitor && !self.signalMonitor.interval) {
+                self.ATS("AT+CIER=1,1,1,0", OK, ALL, function(err) {
+                    if (err) self.log("[SBD] Restoring signal monitoring failed: "+err);
+                }, self.globals.simpleTimeout);
             }
+            if (self.pending > 0) self.scheduleMailboxCheck(1000);
+            self.commands.next();
+            self.scheduleWatchdog();
         });
-        serialPort.on("error", function (error) {
-            iridium.log("ERROR: "+error);
-        });
-    
-        serialPort.on("open", function() {
-            if(iridium.globals.flowControl){
-                iridium.init();
-              }else{
-                iridium.disableFlowControl(iridium.init);
-          }
-        });
-    
-    },
-    
-    close: function() {
-	    serialPort.close();
-    },
-
-    waitForNetwork: function(callback, maxWait) {
-        iridium.ATS("AT+CIER=1,1,0,0", /\+CIEV:0,[^0]/, ALL, callback, iridium.globals.maxWait?iridium.globals.maxWait:iridium.globals.timeoutForever);
-    },
-    
-    getSystemTime: function(callback) {
-        iridium.AT("AT+CCLK?", OK, ALL, function(err, result) {
+    }, delay);
+};
+
+// what the modem is up to: 'closed', 'connected' (port open, not initialized),
+// 'initializing', 'ready', 'busy' (commands or a session in progress) or
+// 'faulted' (lost and not reconnected yet, or the initialization failed)
+IridiumSbd.prototype.getState = function() {
+    if (this.connection == 'closed') return 'closed';
+    if (this.connection != 'open') return 'faulted';
+    if (this.initializing) return 'initializing';
+    if (!this.initialized) return this.initError?'faulted':'connected';
+    if (this.lock || this.commands.length()) return 'busy';
+    return 'ready';
+};
+
+// handle a line (or a binary block) received from the modem
+IridiumSbd.prototype.receive = function(data) {
+    var self = this;
+    self.log("< "+data, null, 'trace');
+    if (self.tracer) self.tracer.line(data);
+    var command = self.commands.active;
+
+    // the lines after the body header are data (e.g. the text of AT+SBDRT)
+    // which may well read like ERROR or an unsolicited result
+    if (command && command.body && (command.inBody || command.body.test(data))) {
+        command.inBody = true;
+        command.response+=(data+"\n");
+        if (command.end.test(data)) self.commands.complete(null, command.response);
+        return;
+    }
+
+    for (var x in self.unsollicited) {
+        var m = data.match(self.unsollicited[x].pattern);
+        if (m) {
+            var execute = self.unsollicited[x].execute;
+            if (typeof execute != 'function') execute = self[execute];
+            execute.call(self, data, m);
+
+            // a command may be waiting for this very result (e.g. +CIEV in waitForNetwork)
+            command = self.commands.active;
+            if (!command || !command.end || !command.end.test(data)) return;
+            break;
+        }
+    }
+
+    if (!command) {
+        self.log("Ignoring unexpected response "+data);
+        return;
+    }
+
+    // resynchronizing after a timeout: whatever comes before the answer to the
+    // sync command belongs to the command that timed out
+    if (command.sync) {
+        if (command.start.test(data)) command.started = true;
+        else if (command.started && command.end.test(data)) self.commands.complete(null, command.response);
+        else self.log("Dropping stale response "+data);
+        return;
+    }
+
+    for (x in self.errors) {
+        if (self.errors[x].test(data)) {
+            self.commands.complete(new errors.CommandError(command.command, command.response));
+            return;
+        }
+    }
+
+
+    if (!command.keep || command.keep.test(data)) {
+        command.response+=(data+"\n");
+    }
+    if (command.end.test(data)) {
+        if (!command.binary) return self.commands.complete(null, command.response);
+        // the command ended without (all of) its binary response
+        if (!command.payload) {
+            var err = self.protocol.binaryError() || new errors.ShortReadError(4, 0);
+            self.protocol.reset();
+            return self.commands.complete(err);
+        }
+        self.commands.complete(command.error || null, command.payload);
+    }
+};
+
+// the message of a binary (AT+SBDRB) response, kept until the final OK
+IridiumSbd.prototype.receiveBinary = function(message, err) {
+    var command = this.commands.active;
+    this.log("< [BINARY] "+message.toString('hex'), null, 'trace');
+    if (this.tracer) this.tracer.binary(message, err);
+    if (!command || !command.binary) return;
+
+    command.payload = message;
+    command.error = err;
+};
+
+IridiumSbd.prototype.close = function() {
+    this.initialized = false;
+    this.connection = 'closed';
+    this.stopWatchdog();
+    this.disableAutoReceive();
+    if (this.signalMonitor) clearInterval(this.signalMonitor.timer);
+    this.signalMonitor = null;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.stopTrace();
+    clearTimeout(this.mailboxTimer);
+    this.mailboxTimer = null;
+    this.closeTransport();
+
+    // nothing can be sent any more - the command in progress and the
+    // waiting ones fail, until open() resumes the queue
+    var self = this;
+    var err = closedError();
+    this.commands.pause();
+    this.commands.stale = false;
+    this.commands.complete(err);
+    this.commands.commands.slice().forEach(function(command) {
+        self.commands.cancel(command, err);
+    });
+    var waking = this.wakeWaiting;
+    this.wakeWaiting = [];
+    waking.forEach(function(command) {
+        command.callback(err);
+    });
+};
+
+// close the transport and forget it, its events are ignored from now on - a
+// stream given as the "transport" option is kept open, it can't be reopened
+IridiumSbd.prototype.closeTransport = function() {
+    var transport = this.transport;
+    this.transport = null;
+    if (this.detachTransport) this.detachTransport();
+    this.detachTransport = null;
+    if (!transport || (transport === this.globals.transport && this.connection != 'closed')) return;
+    if (transport.close) transport.close(function() {});
+    else transport.end();
+};
+
+// turn on the signal indicator and wait for a +CIEV with a signal, for at most
+// maxWait ms (default globals.networkWait) - then the call back gets a
+// retryable NO_NETWORK error, so a retry policy can try again later
+IridiumSbd.prototype.waitForNetwork = function(callback, maxWait) {
+    var self = this;
+    var wait = maxWait || self.globals.networkWait || self.globals.timeoutForever;
+    return fromCallback(callback, function(callback) {
+        self.queueCommand({command: "AT+CIER=1,1,0,0", end: /\+CIEV:0,[^0]/, keep: ALL, timeout: wait,
+            onTimeout: function() {
+                return new errors.IridiumError("No network service within "+wait+"ms", 'NO_NETWORK', true);
+            },
+            callback: function(err, result) {
+                if (!err || err.code != 'NO_NETWORK') return callback(err, result);
+                // the indicators are still on
+                self.restoreSignalMonitoring(function() {
+                    callback(err);
+                });
+            }});
+    });
+};
+
+IridiumSbd.prototype.getSystemTime = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.AT("AT+CCLK?", OK, ALL, function(err, result) {
             if (err) callback(err);
             else {
-                var m = result.match(/CCLK:(\d+)\/(\d+)\/(\d+),(\d+):(\d+):(\d+)/);
-                if (!m) callback("UNKNOWN_TIME");
-                else {
-                    var ctime = new Date(Date.UTC(2000+Number(m[1]), m[2]-1, m[3], m[4], m[5], m[6]));
-                    callback(null, ctime);
-                }
-        
+                var ctime = time.parseClock(result);
+                if (!ctime) callback("UNKNOWN_TIME");
+                else callback(null, ctime);
+
             }
         });
-    },
+    });
+};
 
-    getNetworkTime: function(callback) {
-        iridium.AT("AT-MSSTM", OK, ALL, function(err, result) {
+IridiumSbd.prototype.getNetworkTime = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.AT("AT-MSSTM", OK, ALL, function(err, result) {
         if (err) callback(err);
         else {
-            var m = result.match(/-MSSTM:\s*(.*)/);
-            if (!m) callback("UNKNOWN_TIME");
-            else {
-            // http://www.marsat.ru/files/files%20to%20upload/iridium%20system%20time%20change.pdf
-            // New Epoch for Iridium = May 11, 2014, at 14:23:55 = 1399818235
-            var ctime = new Date( 1399818235000+(parseInt(m[1], 16)*90));
-            // epoch vs date object callback(null, 1399818235+(parseInt(m[1], 16)*90/1000));
-            callback(null, ctime);
-            }
+            // system time in 90ms ticks since the Iridium epoch, see lib/time.js
+            var ticks = time.parseSystemTime(result);
+            if (ticks === null) callback("UNKNOWN_TIME");
+            else if (ticks instanceof Error) callback(ticks);
+            else callback(null, time.fromSystemTime(ticks, {epoch: self.globals.timeEpoch}));
         }
         });
-    },
-        
-    disableFlowControl: function(callback){
-        iridium.log("[SDB] DISABLING FLOW CONTROL");
-        iridium.ATS("AT&K0", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    
-    disableSignalMonitoring: function(callback) {
-        iridium.ATS("AT+CIER=0,0,0,0", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    getSignalQuality: function(callback) {
-        iridium.AT("AT+CSQ", OK, ALL, function(err, result) {
+    });
+};
+
+// how far the host clock is off: {offset, networkTime, hostTime, roundTrip} -
+// offset is network time minus host time in ms (positive if the host clock is
+// behind), the host time is taken halfway through the AT-MSSTM round trip.
+// The network time only has a 90ms resolution
+IridiumSbd.prototype.getClockOffset = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var sent = Date.now();
+        self.getNetworkTime(function(err, networkTime) {
+            if (err) return callback(err);
+            var received = Date.now();
+            var hostTime = new Date(Math.round((sent+received)/2));
+            callback(null, {
+                offset: networkTime.getTime()-hostTime.getTime(),
+                networkTime: networkTime,
+                hostTime: hostTime,
+                roundTrip: received-sent
+            });
+        });
+    });
+};
+
+// set the host clock from the network time - setter(date, callback) does the
+// actual setting (e.g. with "date -s"), it is only called if the clock is
+// more than "threshold" ms off. Calls back with the clock offset, plus
+// "adjusted" if the setter was called
+// options:
+//   threshold - ignore offsets up to this many ms (default 1000)
+IridiumSbd.prototype.syncClock = function(setter, options, callback) {
+    var self = this;
+    if (typeof options == 'function') {
+        callback = options;
+        options = null;
+    }
+    options = options || {};
+    var threshold = (typeof options.threshold == 'number')?options.threshold:1000;
+    return fromCallback(callback, function(callback) {
+        self.getClockOffset(function(err, clock) {
+            if (err) return callback(err);
+            clock.adjusted = false;
+            if (Math.abs(clock.offset) <= threshold) return callback(null, clock);
+
+            self.log("[SBD] Host clock is off by "+clock.offset+"ms, setting it to the network time");
+            // the setter may run a while after the network time was read
+            setter(new Date(Date.now()+clock.offset), function(err) {
+                if (err) return callback(err);
+                clock.adjusted = true;
+                callback(null, clock);
+            });
+        });
+    });
+};
+
+// the position the network has for the modem (AT-MSGEO): {lat, lon, alt, x,
+// y, z, time, accuracy} - only a coarse fallback for when there is no GPS,
+// see lib/geo.js
+IridiumSbd.prototype.getNetworkLocation = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.AT("AT-MSGEO", OK, ALL, function(err, result) {
+            if (err) return callback(err);
+            var location = geo.parseLocation(result, {epoch: self.globals.timeEpoch});
+            if (!location) callback(new errors.IridiumError("No network location available", 'UNKNOWN_LOCATION', true));
+            else callback(null, location);
+        }, self.globals.simpleTimeout);
+    });
+};
+
+IridiumSbd.prototype.disableFlowControl = function(callback){
+    this.log("[SDB] DISABLING FLOW CONTROL");
+    return this.ATS("AT&K0", OK, ALL, callback, this.globals.simpleTimeout);
+};
+
+IridiumSbd.prototype.disableSignalMonitoring = function(callback) {
+    return this.ATS("AT+CIER=0,0,0,0", OK, ALL, callback, this.globals.simpleTimeout);
+};
+// after waitForNetwork - turn indicator reporting off again, or back to what
+// startSignalMonitoring enabled
+IridiumSbd.prototype.restoreSignalMonitoring = function(callback) {
+    if (this.signalMonitor && !this.signalMonitor.interval) {
+        return this.ATS("AT+CIER=1,1,1,0", OK, ALL, callback, this.globals.simpleTimeout);
+    }
+    return this.disableSignalMonitoring(callback);
+};
+IridiumSbd.prototype.getSignalQuality = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.AT("AT+CSQ", OK, ALL, function(err, result) {
             if (err) callback(err);
             else {
                 var m = result.match(/CSQ:\s*(.*)/);
                 if (!m) callback("UNKNOWN_SIGNAL_QUALITY");
                 else {
-                    callback(null, parseInt(m[1]));
+                    var bars = parseInt(m[1]);
+                    self.signalReading(bars);
+                    callback(null, bars);
                 }
             }
-	});
-    },
-    ringAlertEnable: function(callback) {
-        iridium.ATS("AT+SBDMTA=1", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    
-    echoOff: function(callback) {
-        iridium.ATS("ATE0", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    
-    enableRegistration: function(callback) {
-        iridium.ATS("AT+SBDAREG=1", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    
-    clearMOBuffers: function(callback) {
-        iridium.ATS("AT+SBDD0", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    
-    clearMTBuffers: function(callback) {
-        iridium.ATS("AT+SBDD1", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    
-    clearBuffers: function(callback) {
-        iridium.ATS("AT+SBDD2", OK, ALL, callback, iridium.globals.simpleTimeout);
-    },
-    
-    // emit a 'newmessage' event containing the message
-    // and the number of queued messages still waiting at the server
-    readBinaryMessage: function(mtqueued, callback) {
-        iridium.enableBinaryMode(1000);
-        iridium.AT("AT+SBDRB", false, false, function(err, buffer) {
-    
-            if (err) {
-                iridium.clearMTBuffers(function() {
-                    callback(err);
-                });
-                return;
-            }
-    
-            var ib = buffer;
-            var messageLength = ib.readUInt16BE(0);
-            var messageBuffer = new Buffer(messageLength);
-            ib.copy(messageBuffer, 0, 2, messageLength+2);
-    
-    
-    
-            iridium.log("Received message is "+messageBuffer.toString('hex'));
-            iridium.binary.mode = false;
-            iridium.pending = mtqueued;
-            iridiumEvents.emit('newmessage', messageBuffer, mtqueued);
-            iridium.clearMTBuffers(callback);
-        }, iridium.globals.simpleTimeout);
-    },
-    
-    
-    // emit a 'newmessage' event containing the message
-    // and the number of queued messages still waiting at the server
-    readMessage: function(mtqueued, callback) {
-      iridium.AT("AT+SBDRT", OK, ALL, function(err, text) {
-        
+        });
+    });
+};
+// identity and firmware of the modem: {imei, manufacturer, model, revision,
+// versions} - versions has every firmware component reported by AT+CGMR
+IridiumSbd.prototype.getModemInfo = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var info = {};
+        var query = function(command, handle) {
+            return function(done) {
+                self.AT(command, OK, ALL, function(err, result) {
+                    if (!err) handle(result);
+                    done(err);
+                }, self.globals.simpleTimeout);
+            };
+        };
+
+        async.series([
+            query("AT+CGSN", function(result) {
+                info.imei = status.parseValue(result);
+            }),
+            query("AT+CGMI", function(result) {
+                info.manufacturer = status.parseValue(result);
+            }),
+            query("AT+CGMM", function(result) {
+                info.model = status.parseValue(result);
+            }),
+            query("AT+CGMR", function(result) {
+                var revision = status.parseRevision(result);
+                info.revision = revision.revision;
+                info.versions = revision.versions;
+            })
+        ], function(err) {
+            if (err) callback(err);
+            else callback(null, info);
+        });
+    });
+};
+
+// state of the SBD buffers (AT+SBDSX): {moFlag, momsn, mtFlag, mtmsn, ringAlert, waiting}
+IridiumSbd.prototype.getSbdStatus = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.AT("AT+SBDSX", OK, ALL, function(err, result) {
+            if (err) return callback(err);
+            var sbdStatus = status.parseSbdStatus(result);
+            if (!sbdStatus) callback(new errors.IridiumError("Unexpected AT+SBDSX response "+result.trim(), 'UNKNOWN_SBD_STATUS'));
+            else callback(null, sbdStatus);
+        }, self.globals.simpleTimeout);
+    });
+};
+
+// network registration (AT+SBDREG?): {status, statusText, registered}
+IridiumSbd.prototype.getRegistrationStatus = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.AT("AT+SBDREG?", OK, ALL, function(err, result) {
+            if (err) return callback(err);
+            var registration = status.parseRegistrationStatus(result);
+            if (!registration) callback(new errors.IridiumError("Unexpected AT+SBDREG? response "+result.trim(), 'UNKNOWN_REGISTRATION'));
+            else callback(null, registration);
+        }, self.globals.simpleTimeout);
+    });
+};
+
+IridiumSbd.prototype.ringAlertEnable = function(callback) {
+    return this.ATS("AT+SBDMTA=1", OK, ALL, callback, this.globals.simpleTimeout);
+};
+
+IridiumSbd.prototype.echoOff = function(callback) {
+    return this.ATS("ATE0", OK, ALL, callback, this.globals.simpleTimeout);
+};
+
+IridiumSbd.prototype.enableRegistration = function(callback) {
+    return this.ATS("AT+SBDAREG=1", OK, ALL, callback, this.globals.simpleTimeout);
+};
+
+IridiumSbd.prototype.clearMOBuffers = function(callback) {
+    return this.ATS("AT+SBDD0", OK, ALL, callback, this.globals.simpleTimeout);
+};
+
+IridiumSbd.prototype.clearMTBuffers = function(callback) {
+    return this.ATS("AT+SBDD1", OK, ALL, callback, this.globals.simpleTimeout);
+};
+
+IridiumSbd.prototype.clearBuffers = function(callback) {
+    return this.ATS("AT+SBDD2", OK, ALL, callback, this.globals.simpleTimeout);
+};
+
+// async iterator over the incoming MT messages, as an alternative to the
+// 'newmessage' event - every value is {message: ..., queued: ...}
+//
+//   for await (var mt of iridium.messages()) { ... }
+IridiumSbd.prototype.messages = function() {
+    return eventIterator(this, 'newmessage', function(message, queued) {
+        return {message: message, queued: queued};
+    });
+};
+
+// emit a 'newmessage' event containing the message
+// and the number of queued messages still waiting at the server
+IridiumSbd.prototype.readBinaryMessage = function(mtqueued, callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        var retried = false;
+
+        function read() {
+            self.queueCommand({command: "AT+SBDRB", binary: true, end: OK, timeout: self.globals.simpleTimeout, callback: function(err, messageBuffer) {
+
+                // the message is still in the MT buffer, so a garbled transfer can be read again
+                if (err && (err instanceof errors.ChecksumError || err instanceof errors.ShortReadError) && !retried) {
+                    self.log("Reading the MT message failed ("+err.message+"), trying again");
+                    retried = true;
+                    read();
+                    return;
+                }
+
+                // the MT buffer is not cleared, the message is still there
+                if (err) return callback(err);
+
+                self.log("Received message is "+messageBuffer.toString('hex'));
+                self.pending = mtqueued;
+                self.emit('newmessage', messageBuffer, mtqueued);
+                // fragments are decoded once reassembled
+                if (self.globals.decode && !(self.reassembler && fragment.isFragment(messageBuffer))) {
+                    self.decodeMessage(messageBuffer, mtqueued);
+                }
+                self.clearMTBuffers(callback);
+            }});
+        }
+
+        read();
+    });
+};
+
+
+// emit a 'newmessage' event containing the message (a string), the number
+// of queued messages still waiting at the server and the message's bytes
+IridiumSbd.prototype.readMessage = function(mtqueued, callback) {
+  var self = this;
+  return fromCallback(callback, function(callback) {
+      self.queueCommand({command: "AT+SBDRT", body: /\+SBDRT:/, end: OK, timeout: self.globals.simpleTimeout, callback: function(err, response) {
+
+        var bytes = err?null:textMessage.parseBody(response);
+        if (!err && !bytes) {
+            err = new errors.IridiumError("Unable to parse the +SBDRT response", 'BAD_RESPONSE');
+        }
         if (err) {
-            iridium.clearMTBuffers(function() {
+            self.clearMTBuffers(function() {
                 callback(err);
             });
             return;
         }
-    
-        var m = text.match(/SBDRT:[^]{2}(.*)/);
-        var rmessage = m[1];
-        iridium.log("Received message is "+rmessage);
-        iridiumEvents.emit('newmessage', rmessage, mtqueued);
-        iridium.clearMTBuffers(callback);
-      }, iridium.globals.simpleTimeout);
-    },
-
-    
-    // most important function, initiates a SBD session and sends/receives messages
-    initiateSession: function(callback) {
-        iridium.AT("AT+SBDIXA", OK, /\+SBDIX/, function(err, text) {
-    
+
+        var rmessage = textMessage.decode(bytes);
+        self.log("Received message is "+rmessage);
+        self.pending = mtqueued;
+        // the bytes as well, a string can't tell how they were decoded
+        self.emit('newmessage', rmessage, mtqueued, bytes);
+        self.clearMTBuffers(callback);
+      }});
+  });
+};
+
+
+// most important function, initiates a SBD session and sends/receives messages
+IridiumSbd.prototype.initiateSession = function(callback) {
+    var self = this;
+    return fromCallback(callback, function(callback) {
+        self.AT("AT+SBDIXA", OK, /\+SBDIX/, function(err, text) {
+
             if (err) {
-                iridium.messagePending = 1;
-                iridium.clearMOBuffers(function() {
+                self.messagePending = 1;
+                self.clearMOBuffers(function() {
                     callback(err);
                 });
                 return;
             }
-            var m = text.match(/\+SBDIX: (\d+), (\d+), (\d+), (\d+), (\d+), (\d+)/);
-            
-            if(m && m.length){
-                    
-                var status = m[1];
-                var momsn = m[2];
-                var mtstatus = m[3];
-                var mtmsn = m[4];
-                var mtlen = m[5];
-                var mtqueued = m[6];
-        
-                if (status<=4) {
-                    iridium.log("MO message transferred successfully");
-                    iridium.messagePending = 0;
-                } else if (status==18) {
-                    iridium.log("MO message failed, radio failure");
-                    iridium.messagePending = 1;
-                    iridium.clearMOBuffers(function() {
-                        callback("radio failure");
-                    });
-                    return;
-                } else if (status==32) {
-                    iridium.log("MO message failed, network failure");
-                    iridium.messagePending = 1;
-                    iridium.clearMOBuffers(function() {
-                        callback("network failure");
-                    });
-                    return;
+            var session = sbdix.parse(text);
+
+            if(session){
+
+                if (sbdix.isSuccess(session.moStatus)) {
+                    self.log("MO message transferred successfully", session, 'info');
+                    self.messagePending = 0;
                 } else {
-                    iridium.log("MO message failed, error "+status);
-                    iridium.messagePending = 1;
-                    iridium.clearMOBuffers(function() {
-                        callback("unknown failure");
+                    var sessionError = sbdix.sessionError(session);
+                    self.log("MO message failed, "+sessionError.message, session, 'warn');
+                    self.messagePending = 1;
+                    self.clearMOBuffers(function() {
+                        callback(sessionError);
                     });
                     return;
                 }
-              
-                if (mtqueued>0) {
-                    iridium.log("There are still "+mtqueued+" messages waiting!");
+
+                if (session.mtQueued>0) {
+                    self.log("There are still "+session.mtQueued+" messages waiting!");
                 }
-        
-                if (mtstatus==0) {
-                    iridium.log("No MT messages are pending");
-                    iridium.finishSession(callback,momsn);
-                } else if (mtstatus==1) {
-                    iridium.log("A MT message has been transferred, use AT+SBDRT to read it");
+                // fetched by further mailbox checks once this session is over
+                self.pending = session.mtQueued;
+
+                if (session.mtStatus==0) {
+                    self.log("No MT messages are pending");
+                    self.finishSession(callback,session);
+                } else if (session.mtStatus==1) {
+                    self.log("A MT message has been transferred, use AT+SBDRT to read it");
                                 //disableFlowControl(function(){
-                        iridium.readBinaryMessage(mtqueued, function() {
-                        iridium.clearMOBuffers(function(err) {
-                            callback(err, momsn);
+                        var read = (self.globals.receiveMode == 'text')?self.readMessage:self.readBinaryMessage;
+                        read.call(self, session.mtQueued, function(readErr) {
+                        // the MO message was sent all the same, so this is not a session failure
+                        if (readErr) {
+                            self.log("Reading MT message "+session.mtmsn+" failed: "+readErr.message, {err: readErr, mtmsn: session.mtmsn}, 'error');
+                            session.mtError = readErr;
+                            self.emit('mailboxerror', readErr, session.mtmsn);
+                        }
+                        self.clearMOBuffers(function(err) {
+                            callback(err, session);
                         });
                         });
                                 //});
-                    
+
                     return;
                 } else {
-                    iridium.log("Error determining MT status: "+mtstatus);
-                    iridium.finishSession(callback,momsn);
+                    self.log("Error determining MT status: "+session.mtStatus);
+                    self.finishSession(callback,session);
                 }
-              
+
               } else{
-                  iridium.log("Error parsing SBDIX!");
-                  iridium.finishSession(callback,momsn);
+                  self.log("Error parsing SBDIX!", {response: text}, 'error');
+                  self.clearMOBuffers(function() {
+                      callback(new errors.IridiumError("Unable to parse the +SBDIX response", 'BAD_RESPONSE', true));
+                  });
               }
-    
+
         });
-    },
-    finishSession: function(callback,momsn){
-      iridium.clearMOBuffers(function(err) {
-          callback(err, momsn);
-      });        
-    },
-    // simplified AT command function - when you don't care about the result
-    // the end callback is simply a null function (does nothing)
-    ATS: function(command, endregexp, keepregexp, callback, timeout) {
-        iridium.AT(command, endregexp, keepregexp, callback, timeout);
-    },
-    
-    // send an AT command to the modem and call datafunction when complete
-    // endregexp is the regular expression that marks the end of the response (usually the string OK)
-    // keepregexp tells it to filter the response and keep only the lines that match it
-    // datafunction is the function to call when the response is fully received
-    AT: function(command, endregexp, keepregexp, datafunction, timeout) {
-        er = endregexp; // when to push the completed buffer to the datafunction
-        kr = keepregexp; // what lines to keep
-        if (tf) clearTimeout(tf); // any new AT command clears the previous command
-        delete tf;
-        df = function (err, text) {
-            if (tf) clearTimeout(tf);
-            delete(tf);
-            datafunction(err, text); // what to call when ended
-        };
-        if (!timeout) timeout=iridium.globals.defaultTimeout; // general timeout 60 seconds
-        if (timeout>0) tf = setTimeout(function() {
-            iridium.log("Sending a timeout event for command "+command);
-            //datafunction("TIMEOUT");
-        }, timeout);
-    
-        if (command instanceof Buffer) {
-            iridium.log("[BINARY] > "+command.toString('hex'));
-            serialPort.write(command);
-        } else {
-            iridium.log("> "+command);
-            serialPort.write(command+"\r");
-        }
+    });
+};
+// the session object passed back has the MO status, MOMSN, MT status, MTMSN,
+// MT length and number of MT messages still queued at the gateway
+IridiumSbd.prototype.finishSession = function(callback,session){
+    this.clearMOBuffers(function(err) {
+        callback(err, session);
+    });
+};
+// simplified AT command function - when you don't care about the result
+// the end callback is simply a null function (does nothing)
+IridiumSbd.prototype.ATS = function(command, endregexp, keepregexp, callback, timeout) {
+    return this.AT(command, endregexp, keepregexp, callback, timeout);
+};
+
+// send an AT command to the modem and call datafunction when complete
+// endregexp is the regular expression that marks the end of the response (usually the string OK)
+// keepregexp tells it to filter the response and keep only the lines that match it
+// datafunction is the function to call when the response is fully received
+// timeout is in milliseconds (defaults to globals.defaultTimeout, negative waits forever)
+// commands are queued and sent one at a time - the queued command is returned
+// so it can be passed to cancelCommand(). Without a datafunction a promise is
+// returned instead, with the queued command in its "command" property
+IridiumSbd.prototype.AT = function(command, endregexp, keepregexp, datafunction, timeout) {
+    var self = this;
+    var queued;
+    var promise = fromCallback(datafunction, function(datafunction) {
+        queued = self.queueCommand({
+            command: command,
+            end: endregexp, // when to push the completed buffer to the datafunction
+            keep: keepregexp, // what lines to keep
+            callback: datafunction, // what to call when ended
+            timeout: timeout
+        });
+    });
+    if (!promise) return queued;
+    promise.command = queued;
+    return promise;
+};
+
+// add a command to the queue - "binary" commands get a binary AT+SBDRB style
+// response (length, message, checksum) before their end pattern, the message
+// is what they are called back with; from the line matching "body" on, the
+// lines are data (e.g. AT+SBDRT text) kept as they are until the end pattern
+IridiumSbd.prototype.queueCommand = function(command) {
+    var self = this;
+    if (!command.timeout) command.timeout=self.globals.defaultTimeout; // general timeout 60 seconds
+    if (command.binary) command.onTimeout = function() {
+        var err = self.protocol.binaryError();
+        self.protocol.reset();
+        if (self.tracer) self.tracer.reset();
+        return err;
+    };
+    // the idle timer switched the modem off (or is doing so) - switch it on again
+    if (self.idlePowerOff && (self.powerState == 'off' || self.powerState == 'stopping')) {
+        self.wakeWaiting.push(command);
+        if (self.powerState == 'off' && self.wakeWaiting.length == 1) self.wake();
+        return command;
+    }
+    if (self.powerState == 'off') {
+        process.nextTick(function() {
+            command.callback(new errors.IridiumError("Modem is powered off", 'POWERED_OFF'));
+        });
+        return command;
+    }
+    if (self.connection == 'failed') {
+        process.nextTick(function() {
+            command.callback(disconnectedError(false));
+        });
+        return command;
+    }
+    // closed (or never opened) - while reconnecting the queue waits for the port
+    if (!self.transport && self.connection == 'closed') {
+        process.nextTick(function() {
+            command.callback(closedError());
+        });
+        return command;
     }
 
-}
+    // the idle countdown restarts once the queue is empty again
+    if (self.idleTimer) {
+        clearTimeout(self.idleTimer);
+        self.idleTimer = null;
+    }
+    var callback = command.callback;
+    command.callback = function(err, result) {
+        self.commandDone(err);
+        callback(err, result);
+        if (!self.commands.length() && self.powerState == 'on') self.scheduleIdle();
+    };
+    return self.commands.push(command);
+};
+
+// remove a command that is still waiting in the queue, its callback receives a
+// CancelledError - returns false if it is already being executed
+IridiumSbd.prototype.cancelCommand = function(command) {
+    return this.commands.cancel(command);
+};
+
+// number of AT commands waiting to be executed, including the current one
+IridiumSbd.prototype.getQueueDepth = function() {
+    return this.commands.length();
+};
+
+// write a command to the modem, called by the queue when its turn comes
+IridiumSbd.prototype.execute = function(command) {
+    var self = this;
+    // the port went away since the command was queued
+    if (!this.transport) {
+        process.nextTick(function() {
+            if (self.commands.active === command) self.commands.complete(closedError());
+        });
+        return;
+    }
+    if (this.tracer) this.tracer.command(command);
+    if (command.binary) this.protocol.expectBinary();
+
+    if (command.command instanceof Buffer) {
+        this.log("[BINARY] > "+command.command.toString('hex'), null, 'trace');
+        this.transport.write(command.command);
+    } else {
+        this.log("> "+command.command, null, 'trace');
+        this.transport.write(command.command+"\r");
+    }
+};
+
+// the command sent after a timeout to get back in step with the modem - a late
+// OK or ERROR of the command that timed out must not complete the next one, so
+// the answer is a query whose result can't be mistaken for it: everything up
+// to the +SBDMTA line is dropped (see receive)
+IridiumSbd.prototype.syncCommand = function() {
+    var self = this;
+    return {command: "AT+SBDMTA?", start: /^\+SBDMTA:/, end: OK, timeout: self.globals.simpleTimeout,
+        callback: function(err) {
+            if (err) self.log("[SBD] Modem did not answer the sync command: "+err.message, {err: err}, 'warn');
+        }};
+};
+
+// the default instance - the module itself can still be used as a single
+// modem, as it always was. Methods are bound so they keep working when passed
+// around as plain functions (e.g. iridium.on('ringalert', iridium.mailboxCheck)) -
+// the promises they return must still be handled, mailboxCheck() and open()
+// excepted, which report their failures as events
+var iridium = new IridiumSbd();
+Object.keys(IridiumSbd.prototype).forEach(function(name) {
+    if (typeof IridiumSbd.prototype[name] == 'function') {
+        iridium[name] = IridiumSbd.prototype[name].bind(iridium);
+    }
+});
+
+iridium.IridiumSbd = IridiumSbd;
+iridium.IridiumError = errors.IridiumError;
+iridium.TimeoutError = errors.TimeoutError;
+iridium.CancelledError = errors.CancelledError;
+iridium.CommandError = errors.CommandError;
+iridium.ChecksumError = errors.ChecksumError;
+iridium.ShortReadError = errors.ShortReadError;
+iridium.SessionError = errors.SessionError;
+iridium.SBDIX_STATUS = sbdix.MO_STATUS;
+iridium.RetryPolicy = RetryPolicy;
+iridium.Outbox = Outbox;
+iridium.fragment = fragment;
+iridium.codec = codec;
+iridium.power = power;
+iridium.status = status;
+iridium.geo = geo;
+iridium.time = time;
+iridium.text = textMessage;
+iridium.initProfile = initProfile;
+iridium.watchdog = watchdog;
+iridium.logger = logger;
+iridium.trace = trace;
+iridium.server = server;
+iridium.directip = directip;
+iridium.rockblock = rockblock;
+iridium.ModemSimulator = ModemSimulator;
+iridium.transports = transports;
+iridium.createIridium = function(config) {
+    return new IridiumSbd(config);
+};
 
 module.exports = iridium;
@@ -0,0 +1,241 @@
+// Payload codecs - airtime is billed per byte, so payloads can be compressed
+// or packed in a compact binary form before they are sent
+//
+// an encoded payload starts with a one byte codec tag, so the receiver knows
+// how to decode it:
+//
+//   var payload = codec.encode({lat: 60.17, lon: 24.94}, 'position');
+//   codec.decode(payload); // {value: {lat: 60.17, lon: 24.94}, codec: 'position'}
+//
+// tag 0xFB is reserved, it marks fragments (see lib/fragment.js)
+
+var zlib = require('zlib'),
+        errors = require('./errors');
+
+var RESERVED_TAGS = [0xFB];
+
+var byName = {};
+var byTag = {};
+
+function toBuffer(value) {
+    return (value instanceof Buffer)?value:Buffer.from(String(value), 'utf8');
+}
+
+// add a codec: {name, tag (0-255), encode(value) -> Buffer, decode(Buffer) -> value}
+function register(codec) {
+    if (typeof codec.tag != 'number' || codec.tag < 0 || codec.tag > 255 || RESERVED_TAGS.indexOf(codec.tag) >= 0) {
+        throw new errors.IridiumError("Invalid codec tag "+codec.tag+" for codec "+codec.name, 'BAD_CODEC');
+    }
+    if (byTag[codec.tag] && byTag[codec.tag].name != codec.name) {
+        throw new errors.IridiumError("Codec tag "+codec.tag+" is already used by codec "+byTag[codec.tag].name, 'BAD_CODEC');
+    }
+    byName[codec.name] = codec;
+    byTag[codec.tag] = codec;
+    return codec;
+}
+
+function get(name) {
+    var codec = byName[name];
+    if (!codec) throw new errors.IridiumError("Unknown codec "+name, 'BAD_CODEC');
+    return codec;
+}
+
+// encode "value" with the codec "name", prefixed with the codec tag
+function encode(value, name) {
+    var codec = get(name);
+    var data = codec.encode(value);
+    var out = Buffer.alloc(data.length+1);
+    out[0] = codec.tag;
+    data.copy(out, 1);
+    return out;
+}
+
+// decode a tagged payload - returns {value, codec}
+function decode(buffer) {
+    if (!buffer.length) throw new errors.IridiumError("Empty payload", 'BAD_PAYLOAD');
+    var codec = byTag[buffer[0]];
+    if (!codec) throw new errors.IridiumError("Unknown codec tag "+buffer[0], 'BAD_PAYLOAD');
+    return {value: codec.decode(buffer.slice(1)), codec: codec.name};
+}
+
+// a codec running several codecs in turn - encoding goes through the stages
+// in order, decoding in reverse (e.g. ['telemetry', 'deflate'])
+function pipeline(name, tag, stages) {
+    var codecs = stages.map(get);
+    return register({
+        name: name,
+        tag: tag,
+        encode: function(value) {
+            return codecs.reduce(function(data, codec) {
+                return codec.encode(data);
+            }, value);
+        },
+        decode: function(buffer) {
+            return codecs.slice().reverse().reduce(function(data, codec) {
+                return codec.decode(data);
+            }, buffer);
+        }
+    });
+}
+
+// field types of schema codecs: size, write, read
+var TYPES = {
+    uint8: [1, 'writeUInt8', 'readUInt8'],
+    int8: [1, 'writeInt8', 'readInt8'],
+    uint16: [2, 'writeUInt16BE', 'readUInt16BE'],
+    int16: [2, 'writeInt16BE', 'readInt16BE'],
+    uint32: [4, 'writeUInt32BE', 'readUInt32BE'],
+    int32: [4, 'writeInt32BE', 'readInt32BE'],
+    float32: [4, 'writeFloatBE', 'readFloatBE'],
+    float64: [8, 'writeDoubleBE', 'readDoubleBE']
+};
+
+// latitude / longitude as 32 bit fixed point, 1e-7 degree (about 1 cm)
+var FIXED = {
+    bool: {type: 'uint8', scale: 1},
+    lat: {type: 'int32', scale: 1e-7},
+    lon: {type: 'int32', scale: 1e-7}
+};
+
+// a codec packing objects into a compact binary structure, e.g.
+//
+//   codec.schema('position', 0x20, [
+//       {name: 'lat', type: 'lat'},
+//       {name: 'lon', type: 'lon'},
+//       {name: 'speed', type: 'uint16', scale: 0.1}, // 0.1 knot steps
+//       {name: 'battery', type: 'uint8'},
+//       {name: 'note', type: 'string'} // up to 255 bytes
+//   ]);
+//
+// integer fields can have a "scale", the value is stored as round(value/scale)
+function schema(name, tag, fields) {
+    fields = fields.map(function(field) {
+        var fixed = FIXED[field.type];
+        var type = fixed?fixed.type:field.type;
+        if (type != 'string' && !TYPES[type]) {
+            throw new errors.IridiumError("Unknown field type "+field.type+" in codec "+name, 'BAD_CODEC');
+        }
+        return {
+            name: field.name,
+            type: type,
+            bool: field.type == 'bool',
+            scale: field.scale || (fixed?fixed.scale:0)
+        };
+    });
+
+    return register({
+        name: name,
+        tag: tag,
+        fields: fields,
+        encode: function(value) {
+            var parts = fields.map(function(field) {
+                var v = value[field.name];
+                if (field.type == 'string') {
+                    var text = Buffer.from(String(v == null?"":v), 'utf8').slice(0, 255);
+                    return Buffer.concat([Buffer.from([text.length]), text]);
+                }
+                if (field.bool) v = v?1:0;
+                else if (field.scale) v = Math.round(v/field.scale);
+                var type = TYPES[field.type];
+                var buffer = Buffer.alloc(type[0]);
+                buffer[type[1]](Number(v) || 0, 0);
+                return buffer;
+            });
+            return Buffer.concat(parts);
+        },
+        decode: function(buffer) {
+            var value = {};
+            var offset = 0;
+            fields.forEach(function(field) {
+                if (field.type == 'string') {
+                    var length = buffer[offset];
+                    if (offset >= buffer.length || offset+1+length > buffer.length) {
+                        throw new errors.IridiumError("Payload too short for codec "+name, 'BAD_PAYLOAD');
+                    }
+                    value[field.name] = buffer.toString('utf8', offset+1, offset+1+length);
+                    offset += 1+length;
+                    return;
+                }
+                var type = TYPES[field.type];
+                if (offset+type[0] > buffer.length) {
+                    throw new errors.IridiumError("Payload too short for codec "+name, 'BAD_PAYLOAD');
+                }
+                var v = buffer[type[2]](offset);
+                offset += type[0];
+                if (field.bool) v = !!v;
+                else if (field.scale) v = Number((v*field.scale).toPrecision(10));
+                value[field.name] = v;
+            });
+            return value;
+        }
+    });
+}
+
+register({
+    name: 'raw',
+    tag: 0x00,
+    encode: toBuffer,
+    decode: function(buffer) {
+        return buffer;
+    }
+});
+
+register({
+    name: 'deflate',
+    tag: 0x01,
+    encode: function(value) {
+        return zlib.deflateRawSync(toBuffer(value));
+    },
+    decode: function(buffer) {
+        return zlib.inflateRawSync(buffer);
+    }
+});
+
+if (zlib.brotliCompressSync) register({
+    name: 'brotli',
+    tag: 0x02,
+    encode: function(value) {
+        return zlib.brotliCompressSync(toBuffer(value));
+    },
+    decode: function(buffer) {
+        return zlib.brotliDecompressSync(buffer);
+    }
+});
+
+register({
+    name: 'text',
+    tag: 0x03,
+    encode: toBuffer,
+    decode: function(buffer) {
+        return buffer.toString('utf8');
+    }
+});
+
+register({
+    name: 'json',
+    tag: 0x04,
+    encode: function(value) {
+        return Buffer.from(JSON.stringify(value), 'utf8');
+    },
+    decode: function(buffer) {
+        return JSON.parse(buffer.toString('utf8'));
+    }
+});
+
+pipeline('text-deflate', 0x05, ['text', 'deflate']);
+pipeline('json-deflate', 0x06, ['json', 'deflate']);
+
+// untagged raw deflate, as sent by sendCompressedMessage
+function inflate(buffer) {
+    return zlib.inflateRawSync(buffer).toString('utf8');
+}
+
+module.exports = {
+    register: register,
+    get: get,
+    encode: encode,
+    decode: decode,
+    pipeline: pipeline,
+    schema: schema,
+    inflate: inflate
+};
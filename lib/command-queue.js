@@ -0,0 +1,126 @@
+// Serialized AT command queue - the modem can only process one command at a
+// time, so commands are sent one after the other in FIFO order and every
+// command keeps its own end pattern, keep filter, timeout and callback
+
+var errors = require('./errors');
+
+// printable name of a command, binary payloads are not logged in full
+function describe(command) {
+    return (command.command instanceof Buffer)?"[BINARY "+command.command.length+" bytes]":command.command;
+}
+
+// "execute" is called with each command when it becomes the active one and
+// must write it to the modem
+//
+// "sync", if given, returns a command that resynchronizes with the modem: it is
+// sent after a timeout, ahead of everything else, since the modem may still
+// answer the command that timed out - sync commands are marked "sync", and
+// commands with "resync" false (e.g. pings of a modem still booting) need none
+function CommandQueue(execute, sync) {
+    this.execute = execute;
+    this.sync = sync;
+    this.commands = [];
+    this.active = null;
+    this.lastId = 0;
+    this.insertAt = -1;
+    this.paused = false;
+    this.stale = false;
+}
+
+// add a command to the queue and return it, so it can be cancelled later
+//
+// commands queued from inside the callback of the command that just completed
+// are follow-up steps of the same operation (e.g. AT+SBDWB, then the binary
+// data, then AT+SBDIXA) and go to the front of the queue, ahead of anything
+// queued in the meantime, so multi-step operations are never interleaved
+CommandQueue.prototype.push = function(command) {
+    command.id = ++this.lastId;
+    command.response = "";
+    if (this.insertAt >= 0) {
+        this.commands.splice(this.insertAt++, 0, command);
+    } else {
+        this.commands.push(command);
+    }
+    this.next();
+    return command;
+};
+
+// start the next command if the modem is idle
+CommandQueue.prototype.next = function() {
+    var self = this;
+    if (self.active || self.paused) return;
+
+    var command;
+    if (self.stale) {
+        self.stale = false;
+        command = self.sync();
+        command.sync = true;
+        command.id = ++self.lastId;
+        command.response = "";
+    } else if (self.commands.length) {
+        command = self.commands.shift();
+    } else {
+        return;
+    }
+
+    self.active = command;
+    if (command.timeout > 0) command.timer = setTimeout(function() {
+        if (self.active === command) {
+            // onTimeout may give a more specific error than a plain timeout
+            var err = command.onTimeout && command.onTimeout();
+            // a sync command that times out is not synced again, the modem is gone
+            if (self.sync && !command.sync && command.resync !== false) self.stale = true;
+            self.complete(err || new errors.TimeoutError(describe(command), command.timeout));
+        }
+    }, command.timeout);
+
+    self.execute(command);
+};
+
+// finish the active command, call it back and move on to the next one
+CommandQueue.prototype.complete = function(err, result) {
+    var command = this.active;
+    if (!command) return;
+
+    if (command.timer) clearTimeout(command.timer);
+    this.active = null;
+
+    var insertAt = this.insertAt;
+    this.insertAt = 0;
+    try {
+        command.callback(err, result);
+    } finally {
+        this.insertAt = insertAt;
+    }
+    this.next();
+};
+
+// remove a command that has not been sent yet, its callback receives "err"
+// (a CancelledError by default) - returns false if the command is already
+// running or done
+CommandQueue.prototype.cancel = function(command, err) {
+    var index = this.commands.indexOf(command);
+    if (index < 0) return false;
+
+    this.commands.splice(index, 1);
+    command.callback(err || new errors.CancelledError(describe(command)));
+    return true;
+};
+
+// stop sending commands (e.g. while the modem is away), they keep waiting
+// until resume()
+CommandQueue.prototype.pause = function() {
+    this.paused = true;
+};
+
+CommandQueue.prototype.resume = function() {
+    this.paused = false;
+    this.next();
+};
+
+// number of commands waiting, including the one in progress
+CommandQueue.prototype.length = function() {
+    return this.commands.length + (this.active?1:0);
+};
+
+module.exports = CommandQueue;
@@ -0,0 +1,328 @@
+// Iridium SBD DirectIP - the shore side of the link, over TCP
+//
+// MO messages are pushed by the Iridium gateway to a server of ours, MT
+// messages are sent by connecting to the gateway and get a confirmation back.
+// Every DirectIP message is a protocol revision (1 byte), the overall length
+// (2 bytes) and information elements (IE): an id (IEI, 1 byte), a length
+// (2 bytes) and the data, all big endian
+//
+//   iridium.directip.createServer({decode: true}, function(message) { ... }).listen(10800);
+//   iridium.directip.sendMT({host: '12.47.179.12', imei: '300234010000000', payload: buffer}, callback);
+
+var net = require('net'),
+        errors = require('./errors'),
+        createMessage = require('./message').createMessage;
+
+var REVISION = 1;
+
+var IEI = {
+    MO_HEADER: 0x01,
+    MO_PAYLOAD: 0x02,
+    MO_LOCATION: 0x03,
+    MO_CONFIRMATION: 0x05,
+    MT_HEADER: 0x41,
+    MT_PAYLOAD: 0x42,
+    MT_CONFIRMATION: 0x44,
+    MT_PRIORITY: 0x46
+};
+
+// MO session status of the MO header
+var SESSION_STATUS = {
+    0: "The SBD session completed successfully",
+    1: "The MO message transfer was successful, the MT message in the queue was too large",
+    2: "The MO message transfer was successful, the reported location was of unacceptable quality",
+    10: "The SBD session timed out before session completion",
+    12: "The MO message being transferred by the modem is too large",
+    13: "An RF link loss occurred during the SBD session",
+    14: "An IMEI protocol anomaly occurred during the SBD session",
+    15: "The IMEI is prohibited from accessing the gateway"
+};
+
+// MT message status of the MT confirmation - positive values are the
+// position of the message in the MT queue
+var MT_STATUS = {
+    0: "Successful, no payload in the message",
+    "-1": "Invalid IMEI, too few characters or non-numeric characters",
+    "-2": "Unknown IMEI, not provisioned on the gateway",
+    "-3": "Payload size exceeded the maximum allowed",
+    "-4": "Payload expected, but none received",
+    "-5": "MT message queue full (max of 50)",
+    "-6": "MT resources unavailable",
+    "-7": "Violation of the MT DirectIP protocol",
+    "-8": "Ring alerts to the given IMEI are disabled",
+    "-9": "The given IMEI is not attached",
+    "-10": "Source IP address rejected by the MT filter",
+    "-11": "MTMSN value is out of range"
+};
+
+// MT disposition flags of the MT header
+var MT_FLAGS = {
+    flush: 0x0001, // delete the queued MT messages
+    ringAlert: 0x0002, // send a ring alert without a message
+    updateLocation: 0x0008, // update the modem location
+    highPriority: 0x0010, // place the message at the head of the queue
+    assignMtmsn: 0x0020 // use the unique client message id as MTMSN
+};
+
+// {revision, length, elements: [{iei, data}]} of a complete DirectIP message
+function parse(buffer) {
+    if (buffer.length < 3) throw new errors.IridiumError("DirectIP message too short", 'BAD_DIRECTIP');
+    var length = buffer.readUInt16BE(1);
+    if (buffer.length < length+3) throw new errors.ShortReadError(length+3, buffer.length);
+
+    var elements = [];
+    var offset = 3;
+    while (offset < length+3) {
+        if (offset+3 > length+3) throw new errors.IridiumError("Truncated DirectIP information element", 'BAD_DIRECTIP');
+        var iei = buffer[offset];
+        var size = buffer.readUInt16BE(offset+1);
+        if (offset+3+size > length+3) throw new errors.IridiumError("Truncated DirectIP information element", 'BAD_DIRECTIP');
+        elements.push({iei: iei, data: buffer.slice(offset+3, offset+3+size)});
+        offset += 3+size;
+    }
+    return {revision: buffer[0], length: length, elements: elements};
+}
+
+// the whole length of the message at the start of "buffer", or 0 if unknown yet
+function messageLength(buffer) {
+    return (buffer.length >= 3)?buffer.readUInt16BE(1)+3:0;
+}
+
+function element(iei, data) {
+    var out = Buffer.alloc(3+data.length);
+    out[0] = iei;
+    out.writeUInt16BE(data.length, 1);
+    data.copy(out, 3);
+    return out;
+}
+
+function build(elements) {
+    var body = Buffer.concat(elements);
+    var header = Buffer.alloc(3);
+    header[0] = REVISION;
+    header.writeUInt16BE(body.length, 1);
+    return Buffer.concat([header, body]);
+}
+
+// fixed size IEs must have their fields - a truncated one would read past its end
+function checkLength(ie, length, name) {
+    if (ie.data.length < length) {
+        throw new errors.IridiumError("Truncated DirectIP "+name+", "+ie.data.length+" of "+length+" bytes", 'BAD_DIRECTIP');
+    }
+}
+
+// MO location IE: format byte, latitude and longitude in degrees and
+// thousandths of a minute, and the CEP radius in km
+function parseLocation(data) {
+    var flags = data[0];
+    var lat = data[1]+data.readUInt16BE(2)/60000;
+    var lon = data[4]+data.readUInt16BE(5)/60000;
+    return {
+        lat: Math.round(((flags & 0x02)?-lat:lat)*1e6)/1e6,
+        lon: Math.round(((flags & 0x01)?-lon:lon)*1e6)/1e6,
+        cep: data.readUInt32BE(7)
+    };
+}
+
+// the message object (see lib/message.js) of a DirectIP MO message, plus
+// "cdrReference" and "sessionStatusText"
+function parseMO(buffer, options) {
+    var parsed = parse(buffer);
+    var fields = {source: 'directip'};
+    var cdrReference = null;
+
+    parsed.elements.forEach(function(ie) {
+        if (ie.iei == IEI.MO_HEADER) {
+            checkLength(ie, 28, "MO header");
+            cdrReference = ie.data.readUInt32BE(0);
+            fields.imei = ie.data.toString('ascii', 4, 19);
+            fields.sessionStatus = ie.data[19];
+            fields.momsn = ie.data.readUInt16BE(20);
+            fields.mtmsn = ie.data.readUInt16BE(22);
+            fields.time = new Date(ie.data.readUInt32BE(24)*1000);
+        } else if (ie.iei == IEI.MO_PAYLOAD) {
+            fields.payload = ie.data;
+        } else if (ie.iei == IEI.MO_LOCATION) {
+            checkLength(ie, 11, "MO location");
+            fields.location = parseLocation(ie.data);
+        }
+    });
+    if (!fields.imei) throw new errors.IridiumError("DirectIP message has no MO header", 'BAD_DIRECTIP');
+
+    var message = createMessage(fields, options);
+    message.cdrReference = cdrReference;
+    message.sessionStatusText = SESSION_STATUS[message.sessionStatus] || "Unknown session status";
+    return message;
+}
+
+// the MO confirmation sent back to the gateway if it asks for one
+function buildMOConfirmation(success) {
+    return build([element(IEI.MO_CONFIRMATION, Buffer.from([success?1:0]))]);
+}
+
+// a DirectIP MT message
+// options:
+//   imei     - the modem to send to
+//   payload  - the message (Buffer or string), none for flags only messages
+//   clientId - unique client message id, 4 characters or a number (default random)
+//   flags    - disposition flags, a number or {flush, ringAlert, updateLocation, highPriority, assignMtmsn}
+//   priority - 1 (highest) to 5
+function buildMT(options) {
+    var header = Buffer.alloc(21);
+    header.fill(0);
+    var clientId = options.clientId;
+    if (clientId === undefined) clientId = Math.floor(Math.random()*0x100000000);
+    if (typeof clientId == 'number') header.writeUInt32BE(clientId >>> 0, 0);
+    else Buffer.from(String(clientId), 'ascii').copy(header, 0, 0, 4);
+    header.write(String(options.imei), 4, 15, 'ascii');
+
+    var flags = options.flags || 0;
+    if (typeof flags == 'object') {
+        flags = Object.keys(MT_FLAGS).reduce(function(value, name) {
+            return options.flags[name]?(value | MT_FLAGS[name]):value;
+        }, 0);
+    }
+    header.writeUInt16BE(flags, 19);
+
+    var elements = [element(IEI.MT_HEADER, header)];
+    if (options.payload !== undefined && options.payload !== null) {
+        var payload = (options.payload instanceof Buffer)?options.payload:Buffer.from(options.payload);
+        elements.push(element(IEI.MT_PAYLOAD, payload));
+    }
+    if (options.priority) {
+        var priority = Buffer.alloc(2);
+        priority.writeUInt16BE(options.priority, 0);
+        elements.push(element(IEI.MT_PRIORITY, priority));
+    }
+    return build(elements);
+}
+
+// {clientId, imei, autoIdReference, status, statusText, success, queuePosition}
+// of the MT confirmation the gateway answers with
+function parseMTConfirmation(buffer) {
+    var parsed = parse(buffer);
+    var ie = null;
+    parsed.elements.forEach(function(candidate) {
+        if (candidate.iei == IEI.MT_CONFIRMATION) ie = candidate;
+    });
+    if (!ie) throw new errors.IridiumError("DirectIP message has no MT confirmation", 'BAD_DIRECTIP');
+    checkLength(ie, 25, "MT confirmation");
+
+    var status = ie.data.readInt16BE(23);
+    return {
+        clientId: ie.data.readUInt32BE(0),
+        imei: ie.data.toString('ascii', 4, 19),
+        autoIdReference: ie.data.readUInt32BE(19),
+        status: status,
+        statusText: (status > 0)?"Queued at position "+status:(MT_STATUS[status] || "Unknown MT status"),
+        success: status >= 0,
+        queuePosition: (status > 0)?status:null
+    };
+}
+
+// read one DirectIP message from a socket
+function readMessage(socket, callback) {
+    var data = Buffer.alloc(0);
+    var done = false;
+    function finish(err, message) {
+        if (done) return;
+        done = true;
+        callback(err, message);
+    }
+    socket.on('data', function(chunk) {
+        data = Buffer.concat([data, chunk]);
+        var length = messageLength(data);
+        if (length && data.length >= length) finish(null, data.slice(0, length));
+    });
+    socket.on('end', function() {
+        finish(new errors.ShortReadError(messageLength(data) || 3, data.length));
+    });
+    socket.on('error', finish);
+}
+
+// send an MT message to the gateway and call back with its confirmation -
+// a rejected message calls back with an error carrying the "confirmation"
+// options: those of buildMT, plus
+//   host, port - the DirectIP gateway (port default 10800)
+//   timeout    - give up after this many ms (default 30s)
+function sendMT(options, callback) {
+    var message = buildMT(options);
+    var socket = net.connect(options.port || 10800, options.host);
+    socket.setTimeout(options.timeout || 30000, function() {
+        socket.destroy(new errors.TimeoutError("DirectIP MT", options.timeout || 30000));
+    });
+    socket.on('connect', function() {
+        socket.write(message);
+    });
+    readMessage(socket, function(err, response) {
+        socket.destroy();
+        if (err) return callback(err);
+
+        var confirmation;
+        try {
+            confirmation = parseMTConfirmation(response);
+        } catch (e) {
+            return callback(e);
+        }
+        if (!confirmation.success) {
+            var rejected = new errors.IridiumError("MT message rejected: "+confirmation.statusText, 'MT_REJECTED');
+            rejected.confirmation = confirmation;
+            return callback(rejected);
+        }
+        callback(null, confirmation);
+    });
+}
+
+// a net.Server (not listening yet) receiving MO messages from the gateway,
+// "onMessage" is called with each message object (see parseMO) - "options"
+// are those of parseMO, plus:
+//   confirm - send an MO confirmation back (default false, only if the
+//             gateway is configured to expect one)
+//   timeout - drop connections idle for this many ms (default 30s)
+// messages that can't be parsed, or that don't arrive in time, are emitted
+// as 'invalid' by the server, with the error and the data received
+function createServer(options, onMessage) {
+    if (typeof options == 'function') {
+        onMessage = options;
+        options = null;
+    }
+    options = options || {};
+    var timeout = options.timeout || 30000;
+    var server = net.createServer(function(socket) {
+        socket.setTimeout(timeout, function() {
+            socket.destroy(new errors.TimeoutError("DirectIP MO", timeout));
+        });
+        readMessage(socket, function(err, data) {
+            var message = null;
+            if (!err) {
+                try {
+                    message = parseMO(data, options);
+                } catch (e) {
+                    err = e;
+                }
+            }
+            if (options.confirm && data) socket.write(buildMOConfirmation(!err));
+            socket.end();
+            if (err) server.emit('invalid', err, data || null);
+            else onMessage(message);
+        });
+    });
+    return server;
+}
+
+module.exports = {
+    REVISION: REVISION,
+    IEI: IEI,
+    SESSION_STATUS: SESSION_STATUS,
+    MT_STATUS: MT_STATUS,
+    MT_FLAGS: MT_FLAGS,
+    parse: parse,
+    build: build,
+    element: element,
+    parseMO: parseMO,
+    buildMOConfirmation: buildMOConfirmation,
+    buildMT: buildMT,
+    parseMTConfirmation: parseMTConfirmation,
+    sendMT: sendMT,
+    createServer: createServer
+};
@@ -0,0 +1,85 @@
+// Error types passed to callbacks by the Iridium SBD library
+
+var util = require('util');
+
+// base class for every error raised by the library - "code" is a short
+// machine readable identifier (TIMEOUT, CANCELLED, ...) and "retryable" tells
+// whether the same operation may succeed if it is tried again later
+function IridiumError(message, code, retryable) {
+    Error.call(this);
+    if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+    this.name = 'IridiumError';
+    this.message = message;
+    this.code = code;
+    this.retryable = !!retryable;
+}
+util.inherits(IridiumError, Error);
+
+// the modem did not finish answering a command within its timeout
+function TimeoutError(command, timeout) {
+    IridiumError.call(this, "Command "+command+" timed out after "+timeout+"ms", 'TIMEOUT', true);
+    this.name = 'TimeoutError';
+    this.command = command;
+    this.timeout = timeout;
+}
+util.inherits(TimeoutError, IridiumError);
+
+// a queued command was removed before it was sent to the modem
+function CancelledError(command) {
+    IridiumError.call(this, "Command "+command+" was cancelled", 'CANCELLED');
+    this.name = 'CancelledError';
+    this.command = command;
+}
+util.inherits(CancelledError, IridiumError);
+
+// the modem answered a command with ERROR - "response" holds the lines
+// received before the error
+function CommandError(command, response) {
+    IridiumError.call(this, "Command "+command+" returned an error", 'COMMAND_ERROR');
+    this.name = 'CommandError';
+    this.command = command;
+    this.response = response;
+}
+util.inherits(CommandError, IridiumError);
+
+// the checksum of a binary message transfer is wrong - "expected" is the
+// checksum that came with the data, "actual" the one computed from it (both
+// unknown when the modem rejected the checksum of a message we wrote)
+function ChecksumError(expected, actual) {
+    IridiumError.call(this, "Binary message checksum mismatch"+((expected == null)?"":", expected "+expected+" but computed "+actual),
+        'CHECKSUM', true);
+    this.name = 'ChecksumError';
+    this.expected = expected;
+    this.actual = actual;
+}
+util.inherits(ChecksumError, IridiumError);
+
+// a binary response ended before all of it was received
+function ShortReadError(expected, received) {
+    IridiumError.call(this, "Binary response incomplete, received "+received+" of "+expected+" bytes", 'SHORT_READ', true);
+    this.name = 'ShortReadError';
+    this.expected = expected;
+    this.received = received;
+}
+util.inherits(ShortReadError, IridiumError);
+
+// an SBD session (+SBDIX) ended with a failed MO status - "status" is the
+// numeric MO status code and "session" the full parsed +SBDIX result
+function SessionError(session, description, retryable) {
+    IridiumError.call(this, "SBD session failed with status "+session.moStatus+": "+description, 'SESSION_FAILED', retryable);
+    this.name = 'SessionError';
+    this.status = session.moStatus;
+    this.description = description;
+    this.session = session;
+}
+util.inherits(SessionError, IridiumError);
+
+module.exports = {
+    IridiumError: IridiumError,
+    TimeoutError: TimeoutError,
+    CancelledError: CancelledError,
+    CommandError: CommandError,
+    ChecksumError: ChecksumError,
+    ShortReadError: ShortReadError,
+    SessionError: SessionError
+};
@@ -0,0 +1,175 @@
+// Fragmentation of messages longer than a single SBD message
+//
+// every fragment starts with an 8 byte header:
+//   byte 0    - 0xFB, marks a fragment
+//   bytes 1-2 - message id (big endian), the same for all fragments of a message
+//   byte 3    - index of the fragment, from 0
+//   byte 4    - number of fragments
+//   bytes 5-6 - CRC-16/CCITT of the whole message, checked after reassembly
+//   byte 7    - CRC-8 of bytes 0-6, so other messages that happen to start
+//               with 0xFB are not taken for fragments
+
+var util = require('util'),
+        EventEmitter = require('events').EventEmitter,
+        errors = require('./errors');
+
+var MARKER = 0xFB;
+var HEADER_LENGTH = 8;
+var MO_MAX_LENGTH = 340; // longest MO message of a 9602/9603
+var MT_MAX_LENGTH = 270; // longest MT message of a 9603
+
+// CRC-16/CCITT-FALSE (polynomial 0x1021, initial value 0xFFFF)
+function crc16(buffer) {
+    var crc = 0xffff;
+    for (var i=0;i<buffer.length;i++) {
+        crc ^= buffer[i] << 8;
+        for (var b=0;b<8;b++) {
+            crc = (crc & 0x8000)?((crc << 1) ^ 0x1021):(crc << 1);
+        }
+        crc &= 0xffff;
+    }
+    return crc;
+}
+
+// CRC-8 (polynomial 0x07, initial value 0) of the first "length" bytes
+function crc8(buffer, length) {
+    var crc = 0;
+    for (var i=0;i<length;i++) {
+        crc ^= buffer[i];
+        for (var b=0;b<8;b++) {
+            crc = (crc & 0x80)?((crc << 1) ^ 0x07):(crc << 1);
+        }
+        crc &= 0xff;
+    }
+    return crc;
+}
+
+// a well-formed fragment: the marker, a valid header checksum, an index below
+// the count and some data (only the one fragment of an empty message has none)
+function isFragment(buffer) {
+    if (buffer.length < HEADER_LENGTH || buffer[0] != MARKER) return false;
+    if (crc8(buffer, HEADER_LENGTH-1) != buffer[HEADER_LENGTH-1]) return false;
+    var index = buffer[3];
+    var count = buffer[4];
+    return count > 0 && index < count && (buffer.length > HEADER_LENGTH || count == 1);
+}
+
+// split "message" into fragments of at most maxLength bytes (header included)
+function split(message, id, maxLength) {
+    maxLength = maxLength || MO_MAX_LENGTH;
+    var chunk = maxLength - HEADER_LENGTH;
+    var count = Math.max(1, Math.ceil(message.length/chunk));
+    if (count > 255) {
+        throw new errors.IridiumError("Message of "+message.length+" bytes needs more than 255 fragments", 'MESSAGE_TOO_LONG');
+    }
+
+    var crc = crc16(message);
+    var fragments = [];
+    for (var i=0;i<count;i++) {
+        var data = message.slice(i*chunk, (i+1)*chunk);
+        var fragment = Buffer.alloc(HEADER_LENGTH+data.length);
+        fragment[0] = MARKER;
+        fragment.writeUInt16BE(id & 0xffff, 1);
+        fragment[3] = i;
+        fragment[4] = count;
+        fragment.writeUInt16BE(crc, 5);
+        fragment[7] = crc8(fragment, HEADER_LENGTH-1);
+        data.copy(fragment, HEADER_LENGTH);
+        fragments.push(fragment);
+    }
+    return fragments;
+}
+
+// collects fragments and emits 'message' with each reassembled message and
+// its id; sets that stay incomplete for "timeout" ms are dropped (by a timer
+// that doesn't keep the process running), emitting 'expired' with the id and
+// the number of fragments received and expected, a reassembled
+// message with a wrong CRC emits 'corrupt' with a ChecksumError
+// options:
+//   timeout - how long to wait for the missing fragments in ms (default 1 hour)
+function Reassembler(options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this.timeout = options.timeout || 3600000;
+    this.sets = {};
+}
+
+util.inherits(Reassembler, EventEmitter);
+
+// add a received message - returns false if it is not a fragment
+Reassembler.prototype.push = function(buffer) {
+    if (!isFragment(buffer)) return false;
+
+    this.gc();
+
+    var id = buffer.readUInt16BE(1);
+    var index = buffer[3];
+    var count = buffer[4];
+    var crc = buffer.readUInt16BE(5);
+    var key = id+"/"+count+"/"+crc;
+
+    var set = this.sets[key];
+    if (!set) {
+        set = this.sets[key] = {id: id, count: count, crc: crc, fragments: {}, received: 0, started: Date.now()};
+        set.timer = setTimeout(this.gc.bind(this), this.timeout+1);
+        if (set.timer.unref) set.timer.unref();
+    }
+    if (!set.fragments[index]) {
+        set.fragments[index] = buffer.slice(HEADER_LENGTH);
+        set.received++;
+    }
+    if (set.received < set.count) return true;
+
+    clearTimeout(set.timer);
+    delete this.sets[key];
+    var parts = [];
+    for (var i=0;i<set.count;i++) {
+        parts.push(set.fragments[i]);
+    }
+    var message = Buffer.concat(parts);
+    if (crc16(message) != set.crc) {
+        this.emit('corrupt', new errors.ChecksumError(set.crc, crc16(message)), id);
+        return true;
+    }
+    this.emit('message', message, id);
+    return true;
+};
+
+// drop the incomplete sets older than the timeout
+Reassembler.prototype.gc = function() {
+    var now = Date.now();
+    for (var key in this.sets) {
+        var set = this.sets[key];
+        if (now-set.started > this.timeout) {
+            clearTimeout(set.timer);
+            delete this.sets[key];
+            this.emit('expired', set.id, set.received, set.count);
+        }
+    }
+};
+
+// number of messages still waiting for fragments
+Reassembler.prototype.incomplete = function() {
+    this.gc();
+    return Object.keys(this.sets).length;
+};
+
+// drop all incomplete sets (without 'expired') and their timers
+Reassembler.prototype.clear = function() {
+    for (var key in this.sets) {
+        clearTimeout(this.sets[key].timer);
+    }
+    this.sets = {};
+};
+
+module.exports = {
+    MARKER: MARKER,
+    HEADER_LENGTH: HEADER_LENGTH,
+    MO_MAX_LENGTH: MO_MAX_LENGTH,
+    MT_MAX_LENGTH: MT_MAX_LENGTH,
+    crc16: crc16,
+    crc8: crc8,
+    isFragment: isFragment,
+    split: split,
+    Reassembler: Reassembler
+};
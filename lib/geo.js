@@ -0,0 +1,76 @@
+// Network geolocation (AT-MSGEO) - the modem reports the position the Iridium
+// network has for it as earth-centered, earth-fixed (ECEF) coordinates in km
+//
+// the position comes from the satellite beam the modem last registered
+// through, not from GPS: it is only good to tens of kilometres, and can be
+// out of date if the modem moved since
+
+var time = require('./time');
+
+// WGS84 ellipsoid
+var A = 6378137; // semi-major axis, m
+var F = 1/298.257223563; // flattening
+var B = A*(1-F); // semi-minor axis, m
+var E2 = F*(2-F); // first eccentricity squared
+var EP2 = (A*A-B*B)/(B*B); // second eccentricity squared
+
+// {lat, lon, alt} (degrees, degrees, metres) of ECEF coordinates in metres,
+// with Bowring's method - far more precise than a network position needs
+function ecefToGeodetic(x, y, z) {
+    var p = Math.sqrt(x*x+y*y);
+    var theta = Math.atan2(z*A, p*B);
+    var sin = Math.sin(theta), cos = Math.cos(theta);
+    var lat = Math.atan2(z+EP2*B*sin*sin*sin, p-E2*A*cos*cos*cos);
+    var lon = Math.atan2(y, x);
+    var n = A/Math.sqrt(1-E2*Math.sin(lat)*Math.sin(lat));
+    // near the poles p/cos(lat) loses precision, use z instead
+    var alt = (Math.abs(lat) < Math.PI/4)?p/Math.cos(lat)-n:z/Math.sin(lat)-n*(1-E2);
+    return {
+        lat: lat*180/Math.PI,
+        lon: lon*180/Math.PI,
+        alt: alt
+    };
+}
+
+// ECEF coordinates {x, y, z} in metres of a position in degrees and metres
+function geodeticToEcef(lat, lon, alt) {
+    lat = lat*Math.PI/180;
+    lon = lon*Math.PI/180;
+    alt = alt || 0;
+    var n = A/Math.sqrt(1-E2*Math.sin(lat)*Math.sin(lat));
+    return {
+        x: (n+alt)*Math.cos(lat)*Math.cos(lon),
+        y: (n+alt)*Math.cos(lat)*Math.sin(lon),
+        z: (n*(1-E2)+alt)*Math.sin(lat)
+    };
+}
+
+// -MSGEO: <x>,<y>,<z>,<time stamp> - x, y, z in km and the system time of the
+// fix in hex - {lat, lon, alt, x, y, z, time, accuracy}, or null. "options"
+// are those of time.fromSystemTime
+function parseLocation(text, options) {
+    var m = String(text).match(/-MSGEO:\s*(-?\d+),\s*(-?\d+),\s*(-?\d+),\s*([0-9a-fA-F]+)/);
+    if (!m) return null;
+
+    var x = Number(m[1]), y = Number(m[2]), z = Number(m[3]);
+    // all zero until the modem has been located by the network
+    if (!x && !y && !z) return null;
+
+    var position = ecefToGeodetic(x*1000, y*1000, z*1000);
+    return {
+        lat: Math.round(position.lat*10000)/10000,
+        lon: Math.round(position.lon*10000)/10000,
+        alt: Math.round(position.alt), // as rough as the position, km steps
+        x: x,
+        y: y,
+        z: z,
+        time: time.fromSystemTime(m[4], options),
+        accuracy: "Coarse network position from the satellite beam, accurate to tens of km"
+    };
+}
+
+module.exports = {
+    ecefToGeodetic: ecefToGeodetic,
+    geodeticToEcef: geodeticToEcef,
+    parseLocation: parseLocation
+};
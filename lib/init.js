@@ -0,0 +1,110 @@
+// Initialization profiles - what init() sets up once the modem answers
+//
+// a profile is the name of one of the PROFILES, or an object of options
+// (starting from the profile named in its "profile" property, or "default"):
+//   echo         - keep the command echo on (default false, ATE0)
+//   flowControl  - RTS/CTS flow control, AT&K3 / AT&K0 (default null, globals.flowControl)
+//   clearBuffers - 'all' (AT+SBDD2), 'mo' (AT+SBDD0), 'mt' (AT+SBDD1) or false;
+//                  clearing the MT buffer drops a message that was not read yet
+//   registration - AT+SBDAREG mode: 0 off, 1 automatic, 2 ask, 3/4 the same
+//                  with +AREG reports, or null to leave it as it is
+//   ringAlert    - enable (AT+SBDMTA=1) or disable ring alerts, null leaves it
+//   indicators   - true for +CIEV signal/service reports (startSignalMonitoring),
+//                  false to turn them off (AT+CIER=0,0,0,0), null leaves them
+//   steps        - further steps, AT command strings or {name, command}
+//   store        - save the settings to profile 0 or 1 (AT&W) and make it the
+//                  power-up profile (AT&Y), null doesn't
+//   readyTimeout - how long to keep trying AT until the modem answers in ms,
+//                  e.g. while it boots (default 10s)
+//   retryInterval - between those attempts in ms (default 1s)
+
+var errors = require('./errors');
+
+var PROFILES = {
+    // what init() always did
+    'default': {
+        echo: false,
+        flowControl: null,
+        clearBuffers: 'all',
+        registration: 1,
+        ringAlert: true,
+        indicators: null,
+        steps: [],
+        store: null,
+        readyTimeout: 10000,
+        retryInterval: 1000
+    },
+    // leaves an MT message that was not read yet in the buffer
+    preserve: {
+        clearBuffers: 'mo'
+    },
+    // just what the library needs to talk to the modem
+    minimal: {
+        clearBuffers: false,
+        registration: null,
+        ringAlert: null
+    }
+};
+
+var CLEAR_COMMANDS = {all: "AT+SBDD2", mo: "AT+SBDD0", mt: "AT+SBDD1"};
+
+// the complete options of "profile" (a name or an object)
+function resolve(profile) {
+    if (!profile) profile = 'default';
+    if (typeof profile == 'string') profile = {profile: profile};
+
+    var base = profile.profile || 'default';
+    if (!PROFILES[base]) {
+        throw new errors.IridiumError("Unknown initialization profile "+base, 'UNKNOWN_PROFILE');
+    }
+
+    var options = {};
+    [PROFILES['default'], PROFILES[base], profile].forEach(function(source) {
+        for (var key in source) {
+            if (key != 'profile' && source[key] !== undefined) options[key] = source[key];
+        }
+    });
+    return options;
+}
+
+// the steps of a resolved profile, in order - {name, command} for AT commands,
+// {name, run} for the steps done by a method of the modem
+function steps(options, globals) {
+    var list = [];
+    var flowControl = (options.flowControl === null)?globals.flowControl:options.flowControl;
+
+    list.push({name: 'echo', command: options.echo?"ATE1":"ATE0"});
+    list.push({name: 'flowControl', command: flowControl?"AT&K3":"AT&K0"});
+    if (options.clearBuffers) {
+        if (!CLEAR_COMMANDS[options.clearBuffers]) {
+            throw new errors.IridiumError("Unknown clearBuffers option "+options.clearBuffers, 'UNKNOWN_PROFILE');
+        }
+        list.push({name: 'clearBuffers', command: CLEAR_COMMANDS[options.clearBuffers]});
+    }
+    if (options.registration !== null && options.registration !== false) {
+        list.push({name: 'registration', command: "AT+SBDAREG="+Number(options.registration)});
+    }
+    if (options.ringAlert !== null) {
+        list.push({name: 'ringAlert', command: "AT+SBDMTA="+(options.ringAlert?1:0)});
+    }
+    if (options.indicators === true) {
+        list.push({name: 'indicators', run: 'startSignalMonitoring'});
+    } else if (options.indicators === false) {
+        list.push({name: 'indicators', command: "AT+CIER=0,0,0,0"});
+    }
+    (options.steps || []).forEach(function(step, i) {
+        if (typeof step == 'string') step = {name: "step"+(i+1), command: step};
+        list.push(step);
+    });
+    if (options.store !== null && options.store !== undefined) {
+        list.push({name: 'store', command: "AT&W"+Number(options.store)});
+        list.push({name: 'powerUpProfile', command: "AT&Y"+Number(options.store)});
+    }
+    return list;
+}
+
+module.exports = {
+    PROFILES: PROFILES,
+    resolve: resolve,
+    steps: steps
+};
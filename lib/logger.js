@@ -0,0 +1,84 @@
+// Logging - the modem logs through any pino compatible logger (an object with
+// trace/debug/info/warn/error methods taking (fields, message)):
+//
+//   iridium.open({logger: require('pino')()});
+//
+// createLogger is a minimal logger of the same kind, writing pino style JSON
+// lines, for when pino itself is not at hand
+
+// level names and their pino numbers
+var LEVELS = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    fatal: 60
+};
+
+// errors do not serialize to JSON by themselves
+function serialize(fields) {
+    var out = {};
+    for (var key in fields) {
+        var value = fields[key];
+        if (value instanceof Error) {
+            value = {type: value.name, message: value.message, code: value.code, stack: value.stack};
+        } else if (value instanceof Buffer) {
+            value = value.toString('hex');
+        }
+        out[key] = value;
+    }
+    return out;
+}
+
+// options:
+//   level    - lowest level written (default 'info')
+//   stream   - where the JSON lines go (default process.stderr)
+//   bindings - fields added to every line (e.g. {name: 'buoy-7'})
+function createLogger(options) {
+    options = options || {};
+    var stream = options.stream || process.stderr;
+    var bindings = options.bindings || {};
+    var logger = {level: options.level || 'info'};
+
+    Object.keys(LEVELS).forEach(function(level) {
+        logger[level] = function(fields, message) {
+            if (LEVELS[level] < LEVELS[logger.level]) return;
+            if (typeof fields == 'string') {
+                message = fields;
+                fields = {};
+            }
+            var entry = {level: LEVELS[level], time: Date.now()};
+            var key;
+            for (key in bindings) {
+                entry[key] = bindings[key];
+            }
+            fields = serialize(fields);
+            for (key in fields) {
+                entry[key] = fields[key];
+            }
+            if (message !== undefined) entry.msg = message;
+            stream.write(JSON.stringify(entry)+"\n");
+        };
+    });
+
+    // a logger adding more fields to every line
+    logger.child = function(more) {
+        var all = {};
+        var key;
+        for (key in bindings) {
+            all[key] = bindings[key];
+        }
+        for (key in more) {
+            all[key] = more[key];
+        }
+        return createLogger({level: logger.level, stream: stream, bindings: all});
+    };
+
+    return logger;
+}
+
+module.exports = {
+    LEVELS: LEVELS,
+    createLogger: createLogger
+};
@@ -0,0 +1,46 @@
+// MO messages as received on shore - DirectIP and RockBLOCK webhooks produce
+// the same objects:
+//
+//   {source, imei, momsn, mtmsn, time, payload, location, sessionStatus}
+//
+// "payload" is a Buffer and "location" {lat, lon, cep} (cep, the circular
+// error probable, in km) or null. Payloads are decoded the same way the modem
+// decodes MT messages (see lib/codec.js), according to the "decode" option:
+//   true      - tagged codec payloads, sets "value" and "codec"
+//   'inflate' - untagged deflate, as sent by sendCompressedMessage, sets "value"
+// a payload that cannot be decoded sets "decodeError" instead
+
+var codec = require('./codec');
+
+function createMessage(fields, options) {
+    options = options || {};
+    var message = {
+        source: fields.source,
+        imei: fields.imei || null,
+        momsn: (typeof fields.momsn == 'number')?fields.momsn:null,
+        mtmsn: (typeof fields.mtmsn == 'number')?fields.mtmsn:null,
+        time: fields.time || null,
+        payload: fields.payload || Buffer.alloc(0),
+        location: fields.location || null,
+        sessionStatus: (typeof fields.sessionStatus == 'number')?fields.sessionStatus:null
+    };
+
+    if (options.decode && message.payload.length) {
+        try {
+            if (options.decode == 'inflate') {
+                message.value = codec.inflate(message.payload);
+            } else {
+                var decoded = codec.decode(message.payload);
+                message.value = decoded.value;
+                message.codec = decoded.codec;
+            }
+        } catch (err) {
+            message.decodeError = err;
+        }
+    }
+    return message;
+}
+
+module.exports = {
+    createMessage: createMessage
+};
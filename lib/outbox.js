@@ -0,0 +1,353 @@
+// Persistent outbound (MO) message queue
+//
+// messages are kept in an append-only journal file (one JSON record per line)
+// that is replayed on startup, so queued messages survive a reboot or power
+// loss. Every change is synced to disk before the call returns. The journal
+// is compacted on startup and whenever compactAfter records could be saved,
+// keeping only the latest keepFinished sent and failed entries.
+
+var fs = require('fs'),
+        util = require('util'),
+        crypto = require('crypto'),
+        EventEmitter = require('events').EventEmitter,
+        errors = require('./errors'),
+        fragment = require('./fragment');
+
+// options:
+//   ttl          - default time to live of a message in ms (default 0, forever)
+//   maxAttempts  - give up on a message after this many failed sessions (default 20)
+//   compactAfter - compact the journal once it has this many records more than
+//                  entries (default 1000)
+//   keepFinished - sent and failed entries kept by these compactions, the
+//                  latest ones (default 100)
+function Outbox(path, options) {
+    EventEmitter.call(this);
+    options = options || {};
+
+    this.path = path;
+    this.ttl = options.ttl || 0;
+    this.maxAttempts = options.maxAttempts || 20;
+    this.compactAfter = options.compactAfter || 1000;
+    this.keepFinished = (typeof options.keepFinished == 'number')?options.keepFinished:100;
+    this.records = 0; // in the journal
+    this.entries = {};
+    this.draining = false;
+    this.modem = null;
+    this.timer = null;
+
+    this.load();
+}
+
+util.inherits(Outbox, EventEmitter);
+
+// replay the journal - a torn last line (power loss while writing) is ignored
+Outbox.prototype.load = function() {
+    var self = this;
+    var data;
+    try {
+        data = fs.readFileSync(self.path, 'utf8');
+    } catch (err) {
+        if (err.code == 'ENOENT') return;
+        throw err;
+    }
+
+    data.split("\n").forEach(function(line) {
+        if (!line) return;
+        var record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            return;
+        }
+        self.records++;
+        self.apply(record);
+    });
+    if (self.records > Object.keys(self.entries).length) self.compact(self.keepFinished);
+};
+
+// apply a journal record to the in-memory state
+Outbox.prototype.apply = function(record) {
+    var entry = this.entries[record.id];
+
+    switch (record.op) {
+        case 'add':
+            this.entries[record.id] = {
+                id: record.id,
+                payload: Buffer.from(record.payload, 'hex'),
+                priority: record.priority,
+                created: record.created,
+                expires: record.expires,
+                attempts: record.attempts || 0,
+                status: 'queued'
+            };
+            break;
+        case 'attempt':
+            if (entry) entry.attempts++;
+            break;
+        case 'sent':
+            if (entry) {
+                entry.status = 'sent';
+                entry.momsn = record.momsn;
+                entry.sent = record.sent;
+            }
+            break;
+        case 'failed':
+            if (entry) {
+                entry.status = 'failed';
+                entry.error = record.error;
+                entry.code = record.code;
+                entry.failed = record.failed;
+            }
+            break;
+        case 'remove':
+            delete this.entries[record.id];
+            break;
+    }
+};
+
+// append a record to the journal and apply it
+Outbox.prototype.write = function(record) {
+    var fd = fs.openSync(this.path, 'a');
+    try {
+        fs.writeSync(fd, JSON.stringify(record)+"\n");
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    this.records++;
+    this.apply(record);
+    if (this.records >= this.compactAfter+Object.keys(this.entries).length) this.compact(this.keepFinished);
+};
+
+// add a message to the queue and return its entry - throws a MESSAGE_TOO_LONG
+// error if it does not fit in a single SBD message
+// options:
+//   priority - higher priorities are sent first (default 0)
+//   ttl      - drop the message if it was not sent within ttl ms (default: the outbox ttl)
+Outbox.prototype.enqueue = function(payload, options) {
+    options = options || {};
+    var buffer = (payload instanceof Buffer)?payload:Buffer.from(payload);
+    if (buffer.length > fragment.MO_MAX_LENGTH) {
+        throw new errors.IridiumError("Message of "+buffer.length+" bytes is longer than "+fragment.MO_MAX_LENGTH+" bytes", 'MESSAGE_TOO_LONG');
+    }
+    var ttl = (typeof options.ttl == 'number')?options.ttl:this.ttl;
+    var now = Date.now();
+    var id = crypto.randomBytes(8).toString('hex');
+
+    this.write({
+        op: 'add',
+        id: id,
+        payload: buffer.toString('hex'),
+        priority: options.priority || 0,
+        created: now,
+        expires: ttl?now+ttl:0
+    });
+    this.emit('enqueued', this.entries[id]);
+
+    this.drain();
+    return this.entries[id];
+};
+
+// queued (unsent, unexpired) entries, highest priority first then oldest first
+Outbox.prototype.list = function() {
+    var now = Date.now();
+    var self = this;
+    return Object.keys(self.entries).map(function(id) {
+        return self.entries[id];
+    }).filter(function(entry) {
+        return entry.status == 'queued' && !(entry.expires && entry.expires <= now);
+    }).sort(function(a, b) {
+        return (b.priority - a.priority) || (a.created - b.created);
+    });
+};
+
+// entries that were given up on, with the error (and its code)
+Outbox.prototype.listFailed = function() {
+    var self = this;
+    return Object.keys(self.entries).map(function(id) {
+        return self.entries[id];
+    }).filter(function(entry) {
+        return entry.status == 'failed';
+    });
+};
+
+// entries that were sent, with the MOMSN they were assigned
+Outbox.prototype.listSent = function() {
+    var self = this;
+    return Object.keys(self.entries).map(function(id) {
+        return self.entries[id];
+    }).filter(function(entry) {
+        return entry.status == 'sent';
+    });
+};
+
+// the next entry to send, without removing it
+Outbox.prototype.peek = function() {
+    return this.list()[0] || null;
+};
+
+// remove and return the next entry to send
+Outbox.prototype.dequeue = function() {
+    var entry = this.peek();
+    if (entry) this.remove(entry.id);
+    return entry;
+};
+
+Outbox.prototype.get = function(id) {
+    return this.entries[id] || null;
+};
+
+Outbox.prototype.remove = function(id) {
+    if (!this.entries[id]) return false;
+    this.write({op: 'remove', id: id});
+    return true;
+};
+
+Outbox.prototype.markSent = function(id, momsn) {
+    this.write({op: 'sent', id: id, momsn: momsn, sent: Date.now()});
+    return this.entries[id];
+};
+
+Outbox.prototype.markFailed = function(id, err) {
+    this.write({op: 'failed', id: id, error: err.message || String(err), code: err.code, failed: Date.now()});
+    return this.entries[id];
+};
+
+// drop the entries whose TTL has passed, emitting 'expired' for each
+Outbox.prototype.purgeExpired = function() {
+    var now = Date.now();
+    for (var id in this.entries) {
+        var entry = this.entries[id];
+        if (entry.status == 'queued' && entry.expires && entry.expires <= now) {
+            this.remove(id);
+            this.emit('expired', entry);
+        }
+    }
+};
+
+// rewrite the journal with only the live entries - sent and failed entries
+// are dropped, "keep" of them (the latest ones) are kept if it is a number,
+// all of them if it is true
+Outbox.prototype.compact = function(keep) {
+    var self = this;
+    var records = [];
+
+    var finished = Object.keys(self.entries).map(function(id) {
+        return self.entries[id];
+    }).filter(function(entry) {
+        return entry.status != 'queued';
+    }).sort(function(a, b) {
+        return (b.sent || b.failed || b.created) - (a.sent || a.failed || a.created);
+    });
+    var limit = (keep === true)?finished.length:(keep || 0);
+    finished.slice(limit).forEach(function(entry) {
+        delete self.entries[entry.id];
+    });
+
+    for (var id in self.entries) {
+        var entry = self.entries[id];
+        records.push(JSON.stringify({op: 'add', id: id, payload: entry.payload.toString('hex'),
+            priority: entry.priority, created: entry.created, expires: entry.expires, attempts: entry.attempts}));
+        if (entry.status == 'sent') records.push(JSON.stringify({op: 'sent', id: id, momsn: entry.momsn, sent: entry.sent}));
+        if (entry.status == 'failed') records.push(JSON.stringify({op: 'failed', id: id, error: entry.error, code: entry.code, failed: entry.failed}));
+    }
+
+    var tmp = self.path+".tmp";
+    var fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, records.length?records.join("\n")+"\n":"");
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, self.path);
+    self.records = records.length;
+};
+
+// drain the queue automatically through the modem - whenever the modem is
+// initialized, a message is enqueued and every "interval" ms
+// options:
+//   interval - how often to retry sending in ms (default 60s)
+//   minBars  - only send when +CSQ reports at least this many bars (default 1)
+Outbox.prototype.attach = function(modem, options) {
+    var self = this;
+    options = options || {};
+
+    self.detach();
+    self.modem = modem;
+    self.minBars = (typeof options.minBars == 'number')?options.minBars:1;
+    self.onInitialized = function() {
+        self.drain();
+    };
+    modem.on('initialized', self.onInitialized);
+    self.timer = setInterval(function() {
+        self.drain();
+    }, options.interval || 60000);
+
+    if (modem.initialized) self.drain();
+    return self;
+};
+
+Outbox.prototype.detach = function() {
+    if (!this.modem) return;
+    this.modem.removeListener('initialized', this.onInitialized);
+    clearInterval(this.timer);
+    this.timer = null;
+    this.modem = null;
+};
+
+// send the queued messages one after the other, highest priority first.
+// Emits 'sent' with the entry (now holding its MOMSN) for every message sent.
+// Without enough signal nothing is tried; a retryable failure (e.g. no network
+// service) stops the drain with 'deferred' (the entry and the error), the next
+// drain tries again. Messages that fail with an error that is not retryable,
+// or maxAttempts times, are marked failed ('failed' with the entry and the
+// error) and the drain goes on with the next one
+Outbox.prototype.drain = function(callback) {
+    var self = this;
+    callback = callback || function() {};
+
+    if (!self.modem || !self.modem.initialized || self.draining) return callback(null);
+    self.draining = true;
+
+    function done(err) {
+        self.draining = false;
+        callback(err);
+    }
+
+    function next() {
+        self.purgeExpired();
+        var entry = self.peek();
+        if (!entry || !self.modem) return done(null);
+
+        self.write({op: 'attempt', id: entry.id});
+        self.modem.mailboxSend(entry.payload, function(err, session) {
+            if (!err) {
+                self.markSent(entry.id, session.momsn);
+                self.emit('sent', entry, session);
+                return next();
+            }
+
+            // mailboxSend wraps the error of its last attempt - and a modem
+            // that was closed meanwhile is not the message's fault
+            var cause = err.cause || err;
+            var closed = !self.modem || !self.modem.initialized;
+            if (closed || (cause.retryable && entry.attempts < self.maxAttempts)) {
+                self.emit('deferred', entry, err);
+                return done(err);
+            }
+            self.markFailed(entry.id, cause);
+            self.emit('failed', entry, err);
+            next();
+        }, {maxAttempts: 1, minBars: 0});
+    }
+
+    // an attempt is only recorded when there is a chance it works - the signal
+    // is checked once per drain, mailboxSend does not check it again
+    self.modem.checkSignal(self.minBars, function(err) {
+        if (err) return done(err);
+        next();
+    });
+};
+
+module.exports = Outbox;
@@ -0,0 +1,85 @@
+// Power control adapters - switch the modem's on/off (sleep) control line
+//
+// an adapter is an object with a set(on, callback) method, or simply a
+// function(on, callback), driving the line high for "on" (use activeLow for
+// boards wired the other way round):
+//
+//   iridium.open({power: {adapter: power.gpio(17)}});
+//   iridium.open({power: {line: 'dtr'}}); // serial DTR line, see serialLine
+//
+// any other GPIO library can be plugged in the same way:
+//
+//   iridium.open({power: {adapter: function(on, callback) { pin.write(on?1:0, callback); }}});
+
+var fs = require('fs'),
+        errors = require('./errors');
+
+// the serial port's DTR or RTS line (RockBLOCK boards can have the sleep pin
+// wired to one of them) - needs a transport supporting set(), like serialport
+function serialLine(transport, line, activeLow) {
+    line = (line || 'dtr').toLowerCase();
+    return {
+        set: function(on, callback) {
+            if (!transport || typeof transport.set != 'function') {
+                return callback(new errors.IridiumError("The transport cannot drive the "+line.toUpperCase()+" line", 'POWER_UNSUPPORTED'));
+            }
+            var lines = {};
+            lines[line] = activeLow?!on:!!on;
+            transport.set(lines, function(err) {
+                callback(err || null);
+            });
+        }
+    };
+}
+
+// a GPIO pin through the Linux sysfs interface (/sys/class/gpio), exported
+// and set as an output on first use
+// options:
+//   activeLow - the modem is on when the pin is low (default false)
+//   root      - sysfs GPIO directory (default /sys/class/gpio)
+function gpio(pin, options) {
+    options = options || {};
+    var root = options.root || "/sys/class/gpio";
+    var dir = root+"/gpio"+pin;
+    var ready = false;
+
+    function setup(callback) {
+        if (ready) return callback(null);
+        fs.access(dir, function(missing) {
+            var exported = function(err) {
+                if (err) return callback(err);
+                fs.writeFile(dir+"/direction", "out", function(err) {
+                    if (!err) ready = true;
+                    callback(err || null);
+                });
+            };
+            if (missing) fs.writeFile(root+"/export", String(pin), exported);
+            else exported(null);
+        });
+    }
+
+    return {
+        pin: pin,
+        set: function(on, callback) {
+            setup(function(err) {
+                if (err) return callback(err);
+                var high = options.activeLow?!on:!!on;
+                fs.writeFile(dir+"/value", high?"1":"0", function(err) {
+                    callback(err || null);
+                });
+            });
+        }
+    };
+}
+
+// turn the "adapter" option into an adapter object
+function adapter(option) {
+    if (typeof option == 'function') return {set: option};
+    return option;
+}
+
+module.exports = {
+    serialLine: serialLine,
+    gpio: gpio,
+    adapter: adapter
+};
@@ -0,0 +1,58 @@
+// Helpers for offering a Promise based API next to the callbacks
+
+// run "executor" with a node style callback - if the caller passed a callback
+// it is used as is, otherwise a Promise settled by the callback is returned
+function fromCallback(callback, executor) {
+    if (typeof callback == 'function') {
+        executor(callback);
+        return;
+    }
+    return new Promise(function(resolve, reject) {
+        executor(function(err, result) {
+            if (err) reject(err);
+            else resolve(result);
+        });
+    });
+}
+
+// async iterator over the events "event" of "emitter" - events arriving while
+// nobody is waiting are buffered, "map" turns the event arguments into the
+// iterated value. Breaking out of a for await loop removes the listener
+function eventIterator(emitter, event, map) {
+    var values = [];
+    var waiting = [];
+    var done = false;
+
+    function listener() {
+        var value = map.apply(null, arguments);
+        if (waiting.length) waiting.shift()({value: value, done: false});
+        else values.push(value);
+    }
+    emitter.on(event, listener);
+
+    var iterator = {
+        next: function() {
+            if (values.length) return Promise.resolve({value: values.shift(), done: false});
+            if (done) return Promise.resolve({value: undefined, done: true});
+            return new Promise(function(resolve) {
+                waiting.push(resolve);
+            });
+        },
+        return: function() {
+            done = true;
+            emitter.removeListener(event, listener);
+            values = [];
+            while (waiting.length) waiting.shift()({value: undefined, done: true});
+            return Promise.resolve({value: undefined, done: true});
+        }
+    };
+    iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+    };
+    return iterator;
+}
+
+module.exports = {
+    fromCallback: fromCallback,
+    eventIterator: eventIterator
+};
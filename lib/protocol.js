@@ -0,0 +1,126 @@
+// Protocol layer - turns the raw data received from a transport into the
+// response lines (and binary blocks) the modem sends back
+//
+// emits 'data' with each line (without the trailing "\n"), and 'binary' with
+// the message of an AT+SBDRB response and an error if its checksum is wrong
+
+var util = require('util'),
+        EventEmitter = require('events').EventEmitter,
+        errors = require('./errors');
+
+// largest MT message of any SBD modem (9523), anything longer is not a length
+var MAX_MT_LENGTH = 1960;
+
+// the result codes that end a command
+var FINAL_RESULT = /^(OK|ERROR)\r?$/;
+
+// the 2 byte SBD checksum, the least significant 16 bits of the sum of all bytes
+function checksum(buffer) {
+    var sum = 0;
+    for (var i=0;i<buffer.length;i++) {
+        sum += buffer[i];
+    }
+    return sum & 0xffff;
+}
+
+function SbdProtocol() {
+    EventEmitter.call(this);
+    this.data = "";
+    this.binary = null; // data received so far while waiting for an AT+SBDRB response
+}
+
+util.inherits(SbdProtocol, EventEmitter);
+
+// the next data is an AT+SBDRB response: {2 byte length} {message}
+// {2 byte checksum}, read exactly that and go back to reading lines
+SbdProtocol.prototype.expectBinary = function() {
+    this.binary = Buffer.alloc(0);
+};
+
+// while a binary response is incomplete, a ShortReadError describing how much
+// of it was received (e.g. when the command times out), null otherwise
+SbdProtocol.prototype.binaryError = function() {
+    if (!this.binary) return null;
+    var expected = (this.binary.length >= 2)?this.binary.readUInt16BE(0)+4:4;
+    return new errors.ShortReadError(expected, this.binary.length);
+};
+
+SbdProtocol.prototype.write = function(buffer) {
+    var self = this;
+
+    if (self.binary) {
+        self.binary = Buffer.concat([self.binary, buffer]);
+        self.readBinary();
+        return;
+    }
+
+    // Collect data
+    self.data += buffer.toString('binary');
+    // Split collected data by delimiter
+    var parts = self.data.split("\n")
+    self.data = parts.pop();
+    parts.forEach(function (part) {
+        self.emit('data', part);
+    });
+};
+
+SbdProtocol.prototype.readBinary = function() {
+    var data = this.binary;
+
+    while (data.length) {
+        // the command itself, echoed back if echo is still on ("AT" can't be a length)
+        if (data.length >= 2 && data[0] == 0x41 && data[1] == 0x54) {
+            var echo = data.indexOf(0x0d);
+            if (echo < 0) return;
+            data = this.binary = data.slice(echo+1);
+            continue;
+        }
+
+        // no length starts with a byte that high, so this is a line: an empty
+        // one, an unsolicited result (e.g. SBDRING) that came first, or the
+        // final result instead of a response (e.g. ERROR) - only the latter
+        // ends binary mode
+        if (data[0] <= (MAX_MT_LENGTH >> 8)) break;
+        var end = data.indexOf(0x0a);
+        if (end < 0) return;
+        var line = data.slice(0, end).toString('binary');
+        data = this.binary = data.slice(end+1);
+        if (FINAL_RESULT.test(line)) {
+            this.binary = null;
+            this.emit('data', line);
+            if (data.length) this.write(data);
+            return;
+        }
+        this.emit('data', line);
+        // handling the line may have ended the command (e.g. closed the modem)
+        if (this.binary !== data) {
+            if (data.length) this.write(data);
+            return;
+        }
+    }
+    if (data.length < 2) return;
+
+    var length = data.readUInt16BE(0);
+    if (data.length < length+4) return;
+
+    var message = data.slice(2, length+2);
+    var expected = data.readUInt16BE(length+2);
+    var actual = checksum(message);
+
+    this.binary = null;
+    this.emit('binary', message, (expected == actual)?null:new errors.ChecksumError(expected, actual));
+
+    // the rest is the final OK
+    if (data.length > length+4) this.write(data.slice(length+4));
+};
+
+// forget any partial line or binary block, e.g. after reopening the transport
+SbdProtocol.prototype.reset = function() {
+    this.data = "";
+    this.binary = null;
+};
+
+SbdProtocol.checksum = checksum;
+SbdProtocol.MAX_MT_LENGTH = MAX_MT_LENGTH;
+
+module.exports = SbdProtocol;
@@ -0,0 +1,44 @@
+// Retry policy for mailboxSend - exponential backoff with jitter, a maximum
+// number of attempts, an overall deadline and optional signal gating
+//
+// any object with the same methods (shouldRetry, delay, expired) and
+// properties (maxAttempts, minBars) can be used as a policy instead
+
+// options:
+//   maxAttempts  - give up after this many attempts (default 10)
+//   initialDelay - delay before the first retry in ms (default 20s)
+//   maxDelay     - upper limit for the delay between attempts in ms (default 5 minutes)
+//   factor       - the delay is multiplied by this after every attempt (default 2)
+//   jitter       - random variation of the delay, as a fraction of it (default 0.25)
+//   deadline     - give up once this many ms have passed since the first attempt (default none)
+//   minBars      - only try to send when +CSQ reports at least this many bars (default 0)
+function RetryPolicy(options) {
+    options = options || {};
+    this.maxAttempts = options.maxAttempts || 10;
+    this.initialDelay = options.initialDelay || 20000;
+    this.maxDelay = options.maxDelay || 300000;
+    this.factor = options.factor || 2;
+    this.jitter = (typeof options.jitter == 'number')?options.jitter:0.25;
+    this.deadline = options.deadline || 0;
+    this.minBars = options.minBars || 0;
+}
+
+// only errors flagged as retryable (e.g. SBDIX status 32 no network service,
+// 35 modem busy, timeouts) are worth trying again
+RetryPolicy.prototype.shouldRetry = function(err, attempt) {
+    return !!(err && err.retryable) && attempt < this.maxAttempts;
+};
+
+// how long to wait in ms before the attempt following attempt number "attempt"
+RetryPolicy.prototype.delay = function(attempt) {
+    var delay = Math.min(this.maxDelay, this.initialDelay*Math.pow(this.factor, attempt-1));
+    var jitter = delay*this.jitter;
+    return Math.max(0, Math.round(delay - jitter + Math.random()*2*jitter));
+};
+
+// true if starting another attempt after "delay" ms would pass the deadline
+RetryPolicy.prototype.expired = function(started, delay) {
+    return this.deadline > 0 && Date.now()+delay-started > this.deadline;
+};
+
+module.exports = RetryPolicy;
@@ -0,0 +1,57 @@
+// RockBLOCK (Rock Seven) webhook - the shore side of a RockBLOCK, which POSTs
+// every MO message to a web server of ours, form encoded (or as JSON):
+//
+//   imei=300234010000000&momsn=12&transmit_time=21-10-31 10:41:50&
+//   iridium_latitude=60.1682&iridium_longitude=24.9469&iridium_cep=4&data=68656c6c6f
+//
+// parseWebhook turns it into the same message object as a DirectIP MO
+// message (see lib/message.js)
+
+var querystring = require('querystring'),
+        errors = require('./errors'),
+        createMessage = require('./message').createMessage;
+
+// "21-10-31 10:41:50", UTC
+function parseTransmitTime(text) {
+    var m = String(text || "").match(/^(\d{2,4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!m) return null;
+    var year = Number(m[1]);
+    if (m[1].length <= 2) year += 2000;
+    return new Date(Date.UTC(year, m[2]-1, m[3], m[4], m[5], m[6]));
+}
+
+function number(value) {
+    if (value === undefined || value === null || value === "") return null;
+    var n = Number(value);
+    return isNaN(n)?null:n;
+}
+
+// the message object of a webhook request body - an object (as parsed by a
+// body parser) or the raw form encoded / JSON text. Adds "serial" and
+// "deviceType" when the body has them. "options" are those of createMessage
+function parseWebhook(body, options) {
+    if (body instanceof Buffer) body = body.toString('utf8');
+    if (typeof body == 'string') {
+        body = /^\s*\{/.test(body)?JSON.parse(body):querystring.parse(body);
+    }
+    if (!body || !body.imei) throw new errors.IridiumError("Webhook request has no IMEI", 'BAD_WEBHOOK');
+
+    var lat = number(body.iridium_latitude);
+    var lon = number(body.iridium_longitude);
+    var message = createMessage({
+        source: 'rockblock',
+        imei: String(body.imei),
+        momsn: number(body.momsn),
+        time: parseTransmitTime(body.transmit_time),
+        payload: Buffer.from(String(body.data || ""), 'hex'),
+        location: (lat !== null && lon !== null)?{lat: lat, lon: lon, cep: number(body.iridium_cep)}:null
+    }, options);
+    if (body.serial !== undefined) message.serial = String(body.serial);
+    if (body.device_type !== undefined) message.deviceType = String(body.device_type);
+    return message;
+}
+
+module.exports = {
+    parseTransmitTime: parseTransmitTime,
+    parseWebhook: parseWebhook
+};
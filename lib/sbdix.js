@@ -0,0 +1,86 @@
+// +SBDIX (short burst data initiate session extended) result parsing
+// status codes from the Iridium ISU AT Command Reference
+
+var errors = require('./errors');
+
+// description of every documented MO status code
+var MO_STATUS = {
+    0: "MO message, if any, transferred successfully",
+    1: "MO message transferred successfully, but the MT message in the queue was too big to be transferred",
+    2: "MO message transferred successfully, but the requested Location Update was not accepted",
+    10: "Gateway reported that the call did not complete in the allowed time",
+    11: "MO message queue at the gateway is full",
+    12: "MO message has too many segments",
+    13: "Gateway reported that the session did not complete",
+    14: "Invalid segment size",
+    15: "Access is denied",
+    16: "Modem has been locked and may not make SBD calls",
+    17: "Gateway not responding (local session timeout)",
+    18: "Connection lost (RF drop)",
+    19: "Link failure (a protocol error caused termination of the call)",
+    32: "No network service, unable to initiate call",
+    33: "Antenna fault, unable to initiate call",
+    34: "Radio is disabled, unable to initiate call",
+    35: "Modem is busy, unable to initiate call",
+    36: "Try later, must wait 3 minutes since last registration",
+    37: "SBD service is temporarily disabled",
+    38: "Try later, traffic management period",
+    64: "Band violation (attempt to transmit outside permitted frequency band)",
+    65: "PLL lock failure; hardware error during attempted transmit"
+};
+
+// failures that are worth trying again later - everything else (bad message,
+// access denied, locked modem, antenna/radio/hardware faults) will keep failing
+var RETRYABLE = [10, 11, 13, 17, 18, 19, 32, 35, 36, 37, 38];
+
+var MT_STATUS = {
+    0: "No MT message to receive",
+    1: "MT message successfully received",
+    2: "An error occurred while attempting to perform a mailbox check or receive a message"
+};
+
+// the MO status codes 0 to 4 mean the MO part of the session succeeded
+function isSuccess(status) {
+    return status <= 4;
+}
+
+function describe(status) {
+    if (MO_STATUS[status]) return MO_STATUS[status];
+    if (status <= 4) return "Reserved, but indicates MO session success";
+    if (status <= 8) return "Reserved, but indicates MO session failure";
+    return "Reserved, but indicates failure";
+}
+
+function isRetryable(status) {
+    return RETRYABLE.indexOf(status) >= 0;
+}
+
+// turn the +SBDIX response into a session object, null if there is none
+function parse(text) {
+    var m = text && text.match(/\+SBDIX:\s*(\d+),\s*(\d+),\s*(\d+),\s*(\d+),\s*(\d+),\s*(\d+)/);
+    if (!m) return null;
+
+    return {
+        moStatus: Number(m[1]),
+        momsn: Number(m[2]),
+        mtStatus: Number(m[3]),
+        mtmsn: Number(m[4]),
+        mtLength: Number(m[5]),
+        mtQueued: Number(m[6])
+    };
+}
+
+// the error passed back for a session whose MO status is a failure
+function sessionError(session) {
+    return new errors.SessionError(session, describe(session.moStatus), isRetryable(session.moStatus));
+}
+
+module.exports = {
+    MO_STATUS: MO_STATUS,
+    MT_STATUS: MT_STATUS,
+    isSuccess: isSuccess,
+    isRetryable: isRetryable,
+    describe: describe,
+    parse: parse,
+    sessionError: sessionError
+};
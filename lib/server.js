@@ -0,0 +1,298 @@
+// HTTP gateway - lets several local processes share one modem
+//
+//   POST /messages     queue an MO message: a JSON body {text}, {hex} or
+//                      {base64} (plus optional priority and ttl with an outbox),
+//                      or the raw bytes as application/octet-stream - 413 for
+//                      messages longer than an SBD message (340 bytes)
+//   GET  /messages     the MT messages received (?since=<id> for newer ones only)
+//   GET  /messages/:id the state of a queued MO message
+//   GET  /status       modem state, info, signal and registration, as last
+//                      seen - it sends no commands, so it answers at once
+//   GET  /events       Server-Sent Events: newmessage, ringalert, signal,
+//                      disconnected, reconnected, sent and failed (the
+//                      results of queued messages)
+//
+// with a "token", every request needs "Authorization: Bearer <token>" - or
+// ?token=<token> for /events only, as EventSource can't set headers (a token
+// in a URL ends up in logs, so nothing else accepts it)
+//
+//   var server = iridium.server.createServer(iridium, {token: 'secret'});
+//   server.listen(8080, '127.0.0.1');
+
+var http = require('http'),
+        url = require('url'),
+        crypto = require('crypto'),
+        fragment = require('./fragment');
+
+var MAX_BODY = 65536;
+
+// a message as sent over HTTP: hex always, text too if it is valid UTF-8 text
+function describe(buffer) {
+    var out = {length: buffer.length, hex: buffer.toString('hex')};
+    var text = buffer.toString('utf8');
+    if (!/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text) && Buffer.from(text, 'utf8').equals(buffer)) out.text = text;
+    return out;
+}
+
+function sendJson(res, status, body) {
+    var data = JSON.stringify(body);
+    res.writeHead(status, {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data)});
+    res.end(data);
+}
+
+function readBody(req, callback) {
+    var chunks = [];
+    var length = 0;
+    var failed = false;
+    req.on('data', function(chunk) {
+        length += chunk.length;
+        if (length > MAX_BODY && !failed) {
+            failed = true;
+            callback(new Error("Request body too large"));
+        }
+        if (!failed) chunks.push(chunk);
+    });
+    req.on('end', function() {
+        if (!failed) callback(null, Buffer.concat(chunks));
+    });
+}
+
+// the MO payload of a POST /messages request, or an error message
+function parsePayload(req, body) {
+    if (!/json/.test(req.headers['content-type'] || "")) {
+        return body.length?{payload: body}:{error: "Empty message"};
+    }
+    var json;
+    try {
+        json = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+        return {error: "Invalid JSON"};
+    }
+    var payload = null;
+    if (typeof json.text == 'string') payload = Buffer.from(json.text, 'utf8');
+    else if (typeof json.hex == 'string') payload = Buffer.from(json.hex, 'hex');
+    else if (typeof json.base64 == 'string') payload = Buffer.from(json.base64, 'base64');
+    if (!payload || !payload.length) return {error: "Give the message as text, hex or base64"};
+    if (json.priority !== undefined && !(typeof json.priority == 'number' && Math.floor(json.priority) === json.priority)) {
+        return {error: "priority must be an integer"};
+    }
+    if (json.ttl !== undefined && !(typeof json.ttl == 'number' && isFinite(json.ttl) && json.ttl >= 0)) {
+        return {error: "ttl must be a number of ms, 0 or more"};
+    }
+    return {payload: payload, priority: json.priority, ttl: json.ttl};
+}
+
+// "allowQuery" accepts the token from the query string as well
+function authorized(req, query, token, allowQuery) {
+    if (!token) return true;
+    var header = req.headers.authorization || "";
+    var m = header.match(/^Bearer\s+(.+)$/i);
+    var given = Buffer.from(m?m[1]:((allowQuery && query.token) || ""));
+    var expected = Buffer.from(token);
+    return given.length == expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// an http.Server (not listening yet) for "modem"
+// options:
+//   token  - require this bearer token (default none)
+//   outbox - queue MO messages in this Outbox (attached to the modem) instead
+//            of sending them one by one from memory
+//   keep   - how many received MT messages to keep (default 100)
+function createServer(modem, options) {
+    options = options || {};
+    var outbox = options.outbox || null;
+    var keep = options.keep || 100;
+    var received = [];
+    var lastId = 0;
+    var sends = {}; // MO messages sent without an outbox, by id
+    var sending = [];
+    var finished = [];
+    var clients = [];
+    var info = null; // the modem info, fetched once
+    var registration = null; // the latest +AREG
+
+    function broadcast(event, data) {
+        var frame = "event: "+event+"\ndata: "+JSON.stringify(data)+"\n\n";
+        clients.forEach(function(res) {
+            res.write(frame);
+        });
+    }
+
+    var listeners = {
+        newmessage: function(message, queued, bytes) {
+            var buffer = (message instanceof Buffer)?message:(bytes || Buffer.from(message, 'binary'));
+            var entry = describe(buffer);
+            entry.id = ++lastId;
+            entry.received = new Date().toISOString();
+            entry.queued = queued;
+            received.push(entry);
+            if (received.length > keep) received.shift();
+            broadcast('newmessage', entry);
+        },
+        ringalert: function() {
+            broadcast('ringalert', {time: new Date().toISOString()});
+        },
+        signal: function(bars) {
+            broadcast('signal', {bars: bars});
+        },
+        disconnected: function(err) {
+            broadcast('disconnected', {error: err.message, code: err.code});
+        },
+        reconnected: function() {
+            broadcast('reconnected', {time: new Date().toISOString()});
+        },
+        // for /status only
+        registration: function(result) {
+            registration = result;
+        },
+        initialized: function() {
+            fetchInfo();
+        }
+    };
+    Object.keys(listeners).forEach(function(event) {
+        modem.on(event, listeners[event]);
+    });
+
+    var outboxListeners = {
+        sent: function(entry, session) {
+            broadcast('sent', {id: entry.id, momsn: session.momsn});
+        },
+        failed: function(entry, err) {
+            broadcast('failed', {id: entry.id, error: err.message, code: err.code});
+        }
+    };
+    if (outbox) Object.keys(outboxListeners).forEach(function(event) {
+        outbox.on(event, outboxListeners[event]);
+    });
+
+    // in the background, /status does not wait for it
+    function fetchInfo() {
+        if (info) return;
+        modem.getModemInfo(function(err, result) {
+            if (!err) info = result;
+        });
+    }
+    if (modem.initialized) fetchInfo();
+
+    // without an outbox, messages are sent one after the other
+    function sendNext() {
+        var entry = sending[0];
+        if (!entry || entry.status == 'sending') return;
+        entry.status = 'sending';
+        modem.mailboxSend(entry.payload, function(err, session) {
+            sending.shift();
+            delete entry.payload;
+            // only the latest results are kept
+            finished.push(entry.id);
+            if (finished.length > keep) delete sends[finished.shift()];
+            if (err) {
+                entry.status = 'failed';
+                entry.error = err.message;
+                broadcast('failed', {id: entry.id, error: err.message, code: err.code});
+            } else {
+                entry.status = 'sent';
+                entry.momsn = session.momsn;
+                broadcast('sent', {id: entry.id, momsn: session.momsn});
+            }
+            sendNext();
+        });
+    }
+
+    function postMessage(req, res) {
+        readBody(req, function(err, body) {
+            if (err) return sendJson(res, 413, {error: err.message});
+            var parsed = parsePayload(req, body);
+            if (parsed.error) return sendJson(res, 400, {error: parsed.error});
+            if (parsed.payload.length > fragment.MO_MAX_LENGTH) {
+                return sendJson(res, 413, {error: "Message of "+parsed.payload.length+" bytes is longer than "+fragment.MO_MAX_LENGTH+" bytes", code: 'MESSAGE_TOO_LONG'});
+            }
+
+            if (outbox) {
+                var queued;
+                try {
+                    queued = outbox.enqueue(parsed.payload, {priority: parsed.priority, ttl: parsed.ttl});
+                } catch (err) {
+                    // e.g. the journal can't be written
+                    return sendJson(res, 500, {error: err.message, code: err.code});
+                }
+                return sendJson(res, 202, {id: queued.id, status: 'queued'});
+            }
+            var entry = {id: crypto.randomBytes(8).toString('hex'), status: 'queued', payload: parsed.payload, created: Date.now()};
+            sends[entry.id] = entry;
+            sending.push(entry);
+            sendNext();
+            sendJson(res, 202, {id: entry.id, status: 'queued'});
+        });
+    }
+
+    function getSend(res, id) {
+        var entry = outbox?outbox.get(id):sends[id];
+        if (!entry) return sendJson(res, 404, {error: "No such message"});
+        sendJson(res, 200, {id: id, status: entry.status, momsn: entry.momsn, error: entry.error});
+    }
+
+    function getStatus(res) {
+        var status = {state: modem.getState(), initialized: !!modem.initialized, queueDepth: modem.getQueueDepth()};
+        status.pending = outbox?outbox.list().length:sending.length;
+        status.info = info;
+        status.signal = modem.getSignalStats();
+        status.registration = registration;
+        sendJson(res, modem.initialized?200:503, status);
+    }
+
+    function events(req, res) {
+        res.writeHead(200, {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive'});
+        res.write(": connected\n\n");
+        clients.push(res);
+        var keepAlive = setInterval(function() {
+            res.write(": keep-alive\n\n");
+        }, 15000);
+        req.on('close', function() {
+            clearInterval(keepAlive);
+            clients.splice(clients.indexOf(res), 1);
+        });
+    }
+
+    var server = http.createServer(function(req, res) {
+        var parsed = url.parse(req.url, true);
+        var path = parsed.pathname.replace(/\/+$/, "") || "/";
+
+        if (!authorized(req, parsed.query, options.token, path == "/events")) {
+            return sendJson(res, 401, {error: "Unauthorized"});
+        }
+
+        var m;
+        if (path == "/messages" && req.method == 'POST') return postMessage(req, res);
+        if (path == "/messages" && req.method == 'GET') {
+            var since = Number(parsed.query.since) || 0;
+            return sendJson(res, 200, received.filter(function(entry) {
+                return entry.id > since;
+            }));
+        }
+        if ((m = path.match(/^\/messages\/([0-9a-f]+)$/)) && req.method == 'GET') return getSend(res, m[1]);
+        if (path == "/status" && req.method == 'GET') return getStatus(res);
+        if (path == "/events" && req.method == 'GET') return events(req, res);
+        sendJson(res, 404, {error: "Not found"});
+    });
+
+    // stop listening to the modem (and end the event streams) with the server
+    var close = server.close;
+    server.close = function(callback) {
+        Object.keys(listeners).forEach(function(event) {
+            modem.removeListener(event, listeners[event]);
+        });
+        if (outbox) Object.keys(outboxListeners).forEach(function(event) {
+            outbox.removeListener(event, outboxListeners[event]);
+        });
+        clients.slice().forEach(function(res) {
+            res.end();
+        });
+        return close.call(server, callback);
+    };
+
+    return server;
+}
+
+module.exports = {
+    createServer: createServer
+};
@@ -0,0 +1,62 @@
+// Rolling history of signal strength readings, for statistics over the
+// recent past
+//
+// options:
+//   size   - keep at most this many readings (default 100)
+//   maxAge - forget readings older than this many ms (default 1 hour, 0 for never)
+function SignalHistory(options) {
+    options = options || {};
+    this.size = options.size || 100;
+    this.maxAge = (typeof options.maxAge == 'number')?options.maxAge:3600000;
+    this.readings = [];
+}
+
+// record a reading of "bars" (0-5), taken now unless "time" is given
+SignalHistory.prototype.add = function(bars, time) {
+    this.readings.push({bars: bars, time: time || Date.now()});
+    if (this.readings.length > this.size) this.readings.splice(0, this.readings.length-this.size);
+};
+
+// drop the readings older than maxAge
+SignalHistory.prototype.gc = function() {
+    if (!this.maxAge) return;
+    var oldest = Date.now()-this.maxAge;
+    while (this.readings.length && this.readings[0].time < oldest) {
+        this.readings.shift();
+    }
+};
+
+// the latest reading, or null
+SignalHistory.prototype.last = function() {
+    this.gc();
+    return this.readings.length?this.readings[this.readings.length-1]:null;
+};
+
+// {count, min, avg, max, last, since} of the readings in the history, the
+// values are null if there are none
+SignalHistory.prototype.stats = function() {
+    this.gc();
+    var count = this.readings.length;
+    if (!count) return {count: 0, min: null, avg: null, max: null, last: null, since: null};
+
+    var min = 5, max = 0, sum = 0;
+    this.readings.forEach(function(reading) {
+        min = Math.min(min, reading.bars);
+        max = Math.max(max, reading.bars);
+        sum += reading.bars;
+    });
+    return {
+        count: count,
+        min: min,
+        avg: Math.round(sum/count*100)/100,
+        max: max,
+        last: this.readings[count-1].bars,
+        since: new Date(this.readings[0].time)
+    };
+};
+
+SignalHistory.prototype.clear = function() {
+    this.readings = [];
+};
+
+module.exports = SignalHistory;
@@ -0,0 +1,438 @@
+// Simulated Iridium 9602/9603 modem, for testing without any hardware
+//
+// the simulator is a Duplex stream speaking the modem's AT command set, it is
+// passed to open() as the "transport" option in place of the serial port:
+//
+//   var sim = new ModemSimulator({signal: 4});
+//   iridium.open({transport: sim});
+//   sim.queueMT(Buffer.from("hello"));
+//   sim.ring();
+//
+// failures can be scripted (SBDIX status codes, checksum errors, commands that
+// never answer, no signal), and every MO message "sent" is kept in sim.sent
+
+var util = require('util'),
+        Duplex = require('stream').Duplex,
+        time = require('./time'),
+        geo = require('./geo');
+
+function checksum(buffer) {
+    var sum = 0;
+    for (var i=0;i<buffer.length;i++) {
+        sum += buffer[i];
+    }
+    return sum & 0xffff;
+}
+
+// options:
+//   signal       - signal strength in bars, 0 to 5 (default 5)
+//   latency      - delay before each response in ms (default 5)
+//   sessionDelay - how long an SBD session takes in ms (default 50)
+//   momsn, mtmsn - initial sequence numbers (default 0)
+//   location     - {lat, lon} reported by AT-MSGEO (default none, all zero)
+//   imei         - the IMEI reported by AT+CGSN (default 300234010000000)
+//   bootDelay    - how long the modem takes to answer after power-up in ms (default 100)
+function ModemSimulator(options) {
+    Duplex.call(this);
+    options = options || {};
+
+    this.isOpen = true;
+    this.signal = (typeof options.signal == 'number')?options.signal:5;
+    this.latency = (typeof options.latency == 'number')?options.latency:5;
+    this.sessionDelay = (typeof options.sessionDelay == 'number')?options.sessionDelay:50;
+    this.momsn = options.momsn || 0;
+    this.mtmsn = options.mtmsn || 0;
+    this.location = options.location || null;
+    this.imei = options.imei || "300234010000000";
+    this.bootDelay = (typeof options.bootDelay == 'number')?options.bootDelay:100;
+    this.powered = true;
+    this.booted = true;
+
+    this.echo = true;
+    this.flowControl = 3;
+    this.ringAlerts = false;
+    this.indicators = false;
+    this.registration = 0;
+    this.registered = false;
+    this.ringPending = false;
+    this.profiles = {}; // settings stored with AT&W
+    this.powerUpProfile = 0; // selected with AT&Y
+
+    this.moBuffer = null; // the MO message waiting to be sent
+    this.mtBuffer = null; // the last MT message received
+    this.mtQueue = []; // MT messages waiting at the gateway
+    this.sent = []; // MO messages delivered by successful sessions
+
+    // scripted failures
+    this.sessionFailures = []; // MO status codes for the next sessions
+    this.writeFailures = []; // +SBDWB status codes for the next binary writes
+    this.corruptReads = 0; // number of +SBDRB responses with a bad checksum
+    this.ignored = []; // patterns of commands that never get an answer
+
+    this.line = "";
+    this.binaryInput = null; // set while receiving the data of AT+SBDWB
+    this.textInput = false; // set while receiving the text of AT+SBDWT
+}
+
+util.inherits(ModemSimulator, Duplex);
+
+// ---- scripting ----
+
+// queue an MT message at the "gateway", delivered by the next sessions
+ModemSimulator.prototype.queueMT = function(message) {
+    this.mtQueue.push((message instanceof Buffer)?message:Buffer.from(message));
+};
+
+// send a ring alert (SBDRING) if ring alerts are enabled
+ModemSimulator.prototype.ring = function() {
+    this.ringPending = true;
+    if (this.ringAlerts) this.respond("SBDRING");
+};
+
+// send any unsolicited result line, e.g. "HARDWARE FAILURE: 4,1"
+ModemSimulator.prototype.unsolicited = function(line) {
+    this.respond(line);
+};
+
+// change the signal strength, reported through +CIEV if indicators are enabled
+ModemSimulator.prototype.setSignal = function(bars) {
+    var service = (this.signal > 0)?1:0;
+    this.signal = bars;
+    if (this.indicators) {
+        this.respond("+CIEV:0,"+bars);
+        if (service != ((bars > 0)?1:0)) this.respond("+CIEV:1,"+((bars > 0)?1:0));
+    }
+};
+
+// switch the simulated modem on or off (e.g. from a power adapter) - it does
+// not answer while off, nor for bootDelay ms after power-up
+ModemSimulator.prototype.setPower = function(on) {
+    var self = this;
+    if (on == self.powered) return;
+    self.powered = on;
+    self.booted = false;
+    clearTimeout(self.bootTimer);
+    if (!on) return;
+
+    // a power cycle loses the settings (back to the AT&Y profile, if stored)
+    // and the buffers
+    var profile = self.profiles[self.powerUpProfile] || {echo: true, flowControl: 3, ringAlerts: false};
+    self.echo = profile.echo;
+    self.flowControl = profile.flowControl;
+    self.ringAlerts = profile.ringAlerts;
+    self.indicators = false;
+    self.moBuffer = null;
+    self.mtBuffer = null;
+    self.bootTimer = setTimeout(function() {
+        self.booted = true;
+    }, self.bootDelay);
+};
+
+// make the next SBD sessions fail with these MO status codes (e.g. 18, 32, 35)
+ModemSimulator.prototype.failSession = function() {
+    for (var i=0;i<arguments.length;i++) {
+        this.sessionFailures.push(arguments[i]);
+    }
+};
+
+// make the next AT+SBDWB write report a checksum error
+ModemSimulator.prototype.failWrite = function(status) {
+    this.writeFailures.push(status || 2);
+};
+
+// make the next AT+SBDRB response carry a bad checksum
+ModemSimulator.prototype.corruptRead = function() {
+    this.corruptReads++;
+};
+
+// never answer the next command matching pattern (to trigger timeouts)
+ModemSimulator.prototype.ignoreCommand = function(pattern) {
+    this.ignored.push(pattern);
+};
+
+// ---- stream ----
+
+ModemSimulator.prototype._read = function() {
+};
+
+ModemSimulator.prototype._write = function(chunk, encoding, callback) {
+    if (!this.powered || !this.booted) {
+        this.line = "";
+        return callback();
+    }
+    var data = (chunk instanceof Buffer)?chunk:Buffer.from(chunk, encoding);
+    var i = 0;
+
+    while (i < data.length) {
+        if (this.binaryInput) {
+            var input = this.binaryInput;
+            var count = Math.min(input.buffer.length-input.received, data.length-i);
+            data.copy(input.buffer, input.received, i, i+count);
+            input.received += count;
+            i += count;
+            if (input.received == input.buffer.length) {
+                this.binaryInput = null;
+                clearTimeout(input.timer);
+                this.writeBinary(input.buffer);
+            }
+            continue;
+        }
+
+        var c = String.fromCharCode(data[i++]);
+        if (c == "\r") {
+            var line = this.line;
+            this.line = "";
+            if (this.textInput) {
+                this.textInput = false;
+                if (line.length > 340) {
+                    this.respond("ERROR");
+                    continue;
+                }
+                this.moBuffer = Buffer.from(line, 'binary');
+                this.respond("0");
+                this.respond("OK");
+                continue;
+            }
+            if (this.echo) this.output(line+"\r");
+            if (line.length) this.command(line);
+        } else if (c != "\n" || this.textInput) {
+            // line feeds are part of a text, elsewhere they are ignored
+            this.line += c;
+        }
+    }
+    callback();
+};
+
+ModemSimulator.prototype.close = function(callback) {
+    this.isOpen = false;
+    this.push(null);
+    this.emit('close');
+    if (callback) callback(null);
+};
+
+// write raw data to the host after the configured latency
+ModemSimulator.prototype.output = function(data) {
+    var self = this;
+    setTimeout(function() {
+        if (self.isOpen) self.push((data instanceof Buffer)?data:Buffer.from(data, 'binary'));
+    }, self.latency);
+};
+
+// send a response line to the host
+ModemSimulator.prototype.respond = function(text) {
+    this.output("\r\n"+text+"\r\n");
+};
+
+// ---- commands ----
+
+ModemSimulator.prototype.command = function(line) {
+    for (var i=0;i<this.ignored.length;i++) {
+        if (this.ignored[i].test(line)) {
+            this.ignored.splice(i, 1);
+            return;
+        }
+    }
+
+    var cmd = line.toUpperCase();
+    var m;
+
+    if (cmd == "AT" || cmd == "AT*F") return this.respond("OK");
+    if ((m = cmd.match(/^ATE([01])$/))) {
+        this.echo = (m[1] == "1");
+        return this.respond("OK");
+    }
+    if ((m = cmd.match(/^AT&K([03])$/))) {
+        this.flowControl = Number(m[1]);
+        return this.respond("OK");
+    }
+    if ((m = cmd.match(/^AT\+SBDMTA=([01])$/))) {
+        this.ringAlerts = (m[1] == "1");
+        return this.respond("OK");
+    }
+    if (cmd == "AT+SBDMTA?") {
+        this.respond("+SBDMTA:"+(this.ringAlerts?1:0));
+        return this.respond("OK");
+    }
+    if ((m = cmd.match(/^AT\+SBDAREG=([0-4])$/))) {
+        this.registration = Number(m[1]);
+        this.respond("OK");
+        if (this.registration && this.signal > 0) {
+            this.registered = true;
+            this.respond("+AREG:1,0");
+        }
+        return;
+    }
+    if ((m = cmd.match(/^AT&([WY])([01])$/))) {
+        if (m[1] == "W") this.profiles[m[2]] = {echo: this.echo, flowControl: this.flowControl, ringAlerts: this.ringAlerts};
+        else this.powerUpProfile = Number(m[2]);
+        return this.respond("OK");
+    }
+    if ((m = cmd.match(/^AT\+CIER=(\d),(\d),(\d),(\d)$/))) {
+        this.indicators = (m[1] == "1");
+        this.respond("OK");
+        if (this.indicators) {
+            if (m[2] == "1") this.respond("+CIEV:0,"+this.signal);
+            if (m[3] == "1") this.respond("+CIEV:1,"+((this.signal > 0)?1:0));
+        }
+        return;
+    }
+    if (cmd == "AT+CGSN") {
+        this.respond(this.imei);
+        return this.respond("OK");
+    }
+    if (cmd == "AT+CGMI") {
+        this.respond("Iridium");
+        return this.respond("OK");
+    }
+    if (cmd == "AT+CGMM") {
+        this.respond("IRIDIUM 9600 Family SBD Transceiver");
+        return this.respond("OK");
+    }
+    if (cmd == "AT+CGMR") {
+        this.respond("Call Processor Version: TA16005\r\n\r\nModem DSP Version: 1.7 svn: 2358\r\n\r\n"+
+            "DBB Version: 0x0001 (ASIC)\r\n\r\nRFA VersionSrev: 256\r\n\r\nNVM Version: KVS\r\n\r\n"+
+            "Hardware Version: BOOT07d2/9603NrevB/04/RAW0d\r\n\r\nBOOT Version: TA16005 (rev exported)");
+        return this.respond("OK");
+    }
+    if (cmd == "AT+SBDSX") {
+        this.respond("+SBDSX: "+(this.moBuffer?1:0)+", "+this.momsn+", "+(this.mtBuffer?1:0)+", "+
+            (this.mtBuffer?this.mtmsn:-1)+", "+(this.ringPending?1:0)+", "+this.mtQueue.length);
+        return this.respond("OK");
+    }
+    if (cmd == "AT+SBDREG?") {
+        this.respond("+SBDREG:"+(this.registered?2:0));
+        return this.respond("OK");
+    }
+    if (cmd == "AT+CSQ" || cmd == "AT+CSQF") {
+        this.respond("+CSQ:"+this.signal);
+        return this.respond("OK");
+    }
+    if (cmd == "AT+CCLK?") {
+        var d = new Date();
+        this.respond("+CCLK:"+pad(d.getUTCFullYear()%100)+"/"+pad(d.getUTCMonth()+1)+"/"+pad(d.getUTCDate())+","+
+            pad(d.getUTCHours())+":"+pad(d.getUTCMinutes())+":"+pad(d.getUTCSeconds()));
+        return this.respond("OK");
+    }
+    if (cmd == "AT-MSSTM") {
+        if (this.signal > 0) {
+            this.respond("-MSSTM: "+systemTime(new Date()));
+        } else {
+            this.respond("-MSSTM: no network service");
+        }
+        return this.respond("OK");
+    }
+    if (cmd == "AT-MSGEO") {
+        var position = this.location?geo.geodeticToEcef(this.location.lat, this.location.lon, 0):{x: 0, y: 0, z: 0};
+        this.respond("-MSGEO: "+Math.round(position.x/1000)+","+Math.round(position.y/1000)+","+
+            Math.round(position.z/1000)+","+systemTime(new Date()));
+        return this.respond("OK");
+    }
+    if ((m = cmd.match(/^AT\+SBDWB=(\d+)$/))) return this.startBinaryWrite(Number(m[1]));
+    if (cmd.indexOf("AT+SBDWT=") == 0) {
+        // longer texts don't fit the command line
+        if (line.length-9 > 120) return this.respond("ERROR");
+        this.moBuffer = Buffer.from(line.substr(9), 'binary');
+        return this.respond("OK");
+    }
+    if (cmd == "AT+SBDWT") {
+        this.textInput = true;
+        return this.respond("READY");
+    }
+    if (cmd == "AT+SBDRB") return this.readBinary();
+    if (cmd == "AT+SBDRT") {
+        this.output("\r\n+SBDRT:\r"+(this.mtBuffer?this.mtBuffer.toString('binary'):"")+"\r\n");
+        return this.respond("OK");
+    }
+    if ((m = cmd.match(/^AT\+SBDD([012])$/))) {
+        if (m[1] != "1") this.moBuffer = null;
+        if (m[1] != "0") this.mtBuffer = null;
+        this.respond("0");
+        return this.respond("OK");
+    }
+    if (cmd == "AT+SBDIX" || cmd == "AT+SBDIXA") return this.session();
+
+    this.respond("ERROR");
+};
+
+// AT+SBDWB=<length> - wait for length bytes and a 2 byte checksum
+ModemSimulator.prototype.startBinaryWrite = function(length) {
+    var self = this;
+    if (length < 1 || length > 340) {
+        self.respond("3");
+        return self.respond("OK");
+    }
+    self.binaryInput = {buffer: Buffer.alloc(length+2), received: 0};
+    // the modem gives up if the data does not arrive within 60 seconds
+    self.binaryInput.timer = setTimeout(function() {
+        self.binaryInput = null;
+        self.respond("1");
+        self.respond("OK");
+    }, 60000);
+    self.respond("READY");
+};
+
+ModemSimulator.prototype.writeBinary = function(data) {
+    var message = data.slice(0, data.length-2);
+    var status = this.writeFailures.length?this.writeFailures.shift():0;
+    if (!status && data.readUInt16BE(data.length-2) != checksum(message)) status = 2;
+    if (!status) this.moBuffer = Buffer.from(message);
+    this.respond(String(status));
+    this.respond("OK");
+};
+
+// AT+SBDRB - {2 byte length} {message} {2 byte checksum}, then OK
+ModemSimulator.prototype.readBinary = function() {
+    var message = this.mtBuffer || Buffer.alloc(0);
+    var out = Buffer.alloc(message.length+4);
+    out.writeUInt16BE(message.length, 0);
+    message.copy(out, 2);
+    var sum = checksum(message);
+    if (this.corruptReads > 0) {
+        this.corruptReads--;
+        sum = (sum+1) & 0xffff;
+    }
+    out.writeUInt16BE(sum, message.length+2);
+    this.output(out);
+    this.output("\r\nOK\r\n");
+};
+
+// AT+SBDIX(A) - run a session after sessionDelay: deliver the MO buffer and
+// receive the next queued MT message
+ModemSimulator.prototype.session = function() {
+    var self = this;
+    setTimeout(function() {
+        var status = 0;
+        if (self.sessionFailures.length) status = self.sessionFailures.shift();
+        else if (self.signal <= 0) status = 32;
+
+        var mtStatus = 0, mtLength = 0;
+        if (status <= 4) {
+            self.registered = true;
+            self.ringPending = false;
+            if (self.moBuffer) {
+                self.momsn = (self.momsn+1) & 0xffff;
+                self.sent.push({momsn: self.momsn, message: self.moBuffer});
+                self.emit('mo', self.moBuffer, self.momsn);
+            }
+            if (self.mtQueue.length) {
+                self.mtBuffer = self.mtQueue.shift();
+                self.mtmsn = (self.mtmsn+1) & 0xffff;
+                mtStatus = 1;
+                mtLength = self.mtBuffer.length;
+            }
+        }
+        self.respond("+SBDIX: "+status+", "+self.momsn+", "+mtStatus+", "+self.mtmsn+", "+mtLength+", "+self.mtQueue.length);
+        self.respond("OK");
+    }, self.sessionDelay);
+};
+
+// system time in hex, as AT-MSSTM and AT-MSGEO report it
+function systemTime(date) {
+    return ("0000000"+time.toSystemTime(date).toString(16)).slice(-8);
+}
+
+function pad(n) {
+    return (n < 10?"0":"")+n;
+}
+
+module.exports = ModemSimulator;
@@ -0,0 +1,82 @@
+// Information and status query results - AT+CGSN/CGMI/CGMM/CGMR, AT+SBDSX
+// and AT+SBDREG? - from the Iridium ISU AT Command Reference
+
+var unsolicited = require('./unsolicited');
+
+// registration status reported by AT+SBDREG(?)
+var REGISTRATION_STATUS = {
+    0: "Detached",
+    1: "Not registered",
+    2: "Registered",
+    3: "Registration denied"
+};
+
+// the lines of a response, without blank lines, the echoed command and OK
+function lines(text) {
+    return String(text || "").split(/\r?\n|\r/).map(function(line) {
+        return line.trim();
+    }).filter(function(line) {
+        return line.length && line != "OK" && !/^AT/i.test(line);
+    });
+}
+
+// the value of a single line response such as AT+CGSN, or null
+function parseValue(text) {
+    var values = lines(text);
+    return values.length?values[0].replace(/^\+\w+:\s*/, ""):null;
+}
+
+// AT+CGMR lists the versions of every part of the firmware, one per line:
+// {revision, versions: {"Call Processor Version": "TA16005", ...}}
+function parseRevision(text) {
+    var versions = {};
+    var revision = null;
+    lines(text).forEach(function(line) {
+        var m = line.match(/^([^:]+):\s*(.*)$/);
+        if (!m) return;
+        versions[m[1]] = m[2];
+        if (!revision && /call processor/i.test(m[1])) revision = m[2];
+    });
+    if (!revision) revision = parseValue(text);
+    return {revision: revision, versions: versions};
+}
+
+// +SBDSX: <MO flag>, <MOMSN>, <MT flag>, <MTMSN>, <RA flag>, <msg waiting>
+function parseSbdStatus(text) {
+    var m = String(text).match(/\+SBDSX:\s*(\d+),\s*(\d+),\s*(\d+),\s*(-?\d+),\s*(\d+),\s*(\d+)/);
+    if (!m) return null;
+    return {
+        moFlag: m[1] == "1", // a message is in the MO buffer
+        momsn: Number(m[2]), // sequence number of the next MO message
+        mtFlag: m[3] == "1", // a message is in the MT buffer
+        mtmsn: Number(m[4]), // sequence number of the MT message, -1 if none
+        ringAlert: m[5] == "1", // a ring alert is waiting to be answered
+        waiting: Number(m[6]) // MT messages queued at the gateway, as of the last session
+    };
+}
+
+// +SBDREG:<status>[,<error>] - the error is only reported by AT+SBDREG
+function parseRegistrationStatus(text) {
+    var m = String(text).match(/\+SBDREG:\s*(\d+)(?:,\s*(\d+))?/);
+    if (!m) return null;
+    var status = Number(m[1]);
+    var result = {
+        status: status,
+        statusText: REGISTRATION_STATUS[status] || "Unknown registration status",
+        registered: status == 2
+    };
+    if (m[2] !== undefined) {
+        result.error = Number(m[2]);
+        result.errorText = unsolicited.describeRegistrationError(result.error);
+    }
+    return result;
+}
+
+module.exports = {
+    REGISTRATION_STATUS: REGISTRATION_STATUS,
+    lines: lines,
+    parseValue: parseValue,
+    parseRevision: parseRevision,
+    parseSbdStatus: parseSbdStatus,
+    parseRegistrationStatus: parseRegistrationStatus
+};
@@ -0,0 +1,62 @@
+// Text (AT+SBDWT / AT+SBDRT) messages
+//
+// AT+SBDWT=<text> takes at most 120 bytes, the limit of the AT command line,
+// and the command line editing of the modem acts on control characters
+// (e.g. backspace). Longer texts, or texts with control characters, go
+// through the two-step form: AT+SBDWT, the modem answers READY, then the text
+// terminated by a carriage return - so a carriage return can never be part of
+// a text message, line breaks are sent as "\n"
+
+var errors = require('./errors');
+
+var COMMAND_MAX_LENGTH = 120; // AT+SBDWT=<text>
+var MAX_LENGTH = 340; // AT+SBDWT, then the text
+
+// {text, length, twoStep} to send for "message" (text is sent as UTF-8), or
+// a MESSAGE_TOO_LONG error
+function prepare(message) {
+    var text = String(message).replace(/\r\n?/g, "\n");
+    var length = Buffer.byteLength(text, 'utf8');
+    if (length > MAX_LENGTH) {
+        return new errors.IridiumError("Text message of "+length+" bytes is longer than "+MAX_LENGTH+" bytes", 'MESSAGE_TOO_LONG');
+    }
+    return {
+        text: text,
+        length: length,
+        twoStep: length > COMMAND_MAX_LENGTH || /[\x00-\x1f\x7f]/.test(text)
+    };
+}
+
+// the bytes of the text of an AT+SBDRT response - "+SBDRT:", a carriage
+// return (some firmware adds a line feed), the text (which may span several
+// lines) and the final OK - or null if there is none
+function parseBody(response) {
+    var start = response.indexOf("+SBDRT:");
+    if (start < 0) return null;
+
+    var text = response.slice(start+7).replace(/^\r?\n?/, "");
+    text = text.replace(/(?:\r?\n|\r)*OK\r?\n?\s*$/, "");
+    return Buffer.from(text, 'binary');
+}
+
+// the bytes of a text as a string - UTF-8 if they are valid UTF-8, Latin-1
+// otherwise
+function decode(bytes) {
+    var utf8 = bytes.toString('utf8');
+    return Buffer.from(utf8, 'utf8').equals(bytes)?utf8:bytes.toString('binary');
+}
+
+// the text of an AT+SBDRT response as a string, or null if there is none
+function parseResponse(response) {
+    var bytes = parseBody(response);
+    return bytes && decode(bytes);
+}
+
+module.exports = {
+    COMMAND_MAX_LENGTH: COMMAND_MAX_LENGTH,
+    MAX_LENGTH: MAX_LENGTH,
+    prepare: prepare,
+    parseBody: parseBody,
+    decode: decode,
+    parseResponse: parseResponse
+};
@@ -0,0 +1,74 @@
+// Iridium system time - a 32 bit count of 90 ms ticks since the Iridium
+// epoch, as reported in hex by AT-MSSTM and AT-MSGEO
+//
+// http://www.marsat.ru/files/files%20to%20upload/iridium%20system%20time%20change.pdf
+// New Epoch for Iridium = May 11, 2014, at 14:23:55 = 1399818235
+//
+// the counter wraps around about every 12 years, and Iridium has moved the
+// epoch before (from March 8, 2007, 03:50:21), so a tick count alone is
+// ambiguous: the decoder picks the era closest to a reference time, by
+// default the host clock
+
+var errors = require('./errors');
+
+var EPOCHS = {
+    '2007': Date.UTC(2007, 2, 8, 3, 50, 21),
+    '2014': Date.UTC(2014, 4, 11, 14, 23, 55)
+};
+var EPOCH = EPOCHS['2014'];
+var TICK = 90; // ms
+var ERA = 0x100000000*TICK; // ms until the counter wraps around
+
+// the tick count of an AT-MSSTM response - null if there is no time in it,
+// a NO_NETWORK_SERVICE error if the modem has no network time yet
+function parseSystemTime(text) {
+    var m = String(text).match(/-MSSTM:\s*([0-9a-fA-F]{1,8})\b/);
+    if (m) return parseInt(m[1], 16);
+    if (/no network service/i.test(text)) {
+        return new errors.IridiumError("No network service, the system time is not known", 'NO_NETWORK_SERVICE', true);
+    }
+    return null;
+}
+
+// Date of a system time value, given as a number or a hex string
+// options:
+//   epoch     - the epoch the counter started at, a timestamp or Date (default the 2014 epoch)
+//   reference - pick the counter wrap-around closest to this time (default now)
+function fromSystemTime(ticks, options) {
+    options = options || {};
+    if (typeof ticks == 'string') ticks = parseInt(ticks, 16);
+    var epoch = options.epoch?Number(options.epoch):EPOCH;
+    var reference = options.reference?Number(options.reference):Date.now();
+
+    var time = epoch+ticks*TICK;
+    while (reference-time > ERA/2) {
+        time += ERA;
+    }
+    return new Date(time);
+}
+
+// system time value of a Date
+function toSystemTime(date, epoch) {
+    var ticks = Math.floor((date.getTime()-(epoch?Number(epoch):EPOCH))/TICK);
+    return ((ticks % 0x100000000)+0x100000000) % 0x100000000;
+}
+
+// Date of a +CCLK response, with a 2 or 4 digit year
+function parseClock(text) {
+    var m = String(text).match(/CCLK:\s*(\d+)\/(\d+)\/(\d+),(\d+):(\d+):(\d+)/);
+    if (!m) return null;
+    var year = Number(m[1]);
+    if (m[1].length <= 2) year += 2000;
+    return new Date(Date.UTC(year, m[2]-1, m[3], m[4], m[5], m[6]));
+}
+
+module.exports = {
+    EPOCHS: EPOCHS,
+    EPOCH: EPOCH,
+    TICK: TICK,
+    ERA: ERA,
+    parseSystemTime: parseSystemTime,
+    fromSystemTime: fromSystemTime,
+    toSystemTime: toSystemTime,
+    parseClock: parseClock
+};
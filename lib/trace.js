@@ -0,0 +1,138 @@
+// Protocol traces - a record of everything said between the library and the
+// modem, one JSON object per line, to reproduce field problems offline:
+//
+//   {"time":..., "dir":">", "text":"AT+SBDRB", "binary":true}   command (binary response expected)
+//   {"time":..., "dir":">", "hex":"68656c6c6f0214"}              binary data written
+//   {"time":..., "dir":"raw", "hex":"0d0a4f4b0d0a"}              data exactly as received
+//   {"time":..., "dir":"<", "text":"OK\r"}                       response line
+//   {"time":..., "dir":"<", "hex":"68656c6c6f", "binary":true}   AT+SBDRB message
+//   {"time":..., "dir":"reset"}                                  the parser was reset
+//
+// replay() feeds the raw data of a trace back into the protocol parser and
+// reports where the result differs from what was recorded
+
+var fs = require('fs'),
+        SbdProtocol = require('./protocol');
+
+// write a trace to "target", a file name (appended to) or a writable stream -
+// if the stream fails (e.g. the directory does not exist) recording stops and
+// onError is called with the error
+function TraceRecorder(target, onError) {
+    var self = this;
+    self.owned = (typeof target == 'string');
+    self.stream = self.owned?fs.createWriteStream(target, {flags: 'a'}):target;
+    self.failed = false;
+    self.onStreamError = function(err) {
+        if (self.failed) return;
+        self.failed = true;
+        if (onError) onError(err);
+    };
+    self.stream.on('error', self.onStreamError);
+}
+
+TraceRecorder.prototype.write = function(entry) {
+    if (this.failed) return;
+    entry.time = Date.now();
+    this.stream.write(JSON.stringify(entry)+"\n");
+};
+
+TraceRecorder.prototype.command = function(command) {
+    if (command.command instanceof Buffer) this.write({dir: '>', hex: command.command.toString('hex')});
+    else if (command.binary) this.write({dir: '>', text: command.command, binary: true});
+    else this.write({dir: '>', text: command.command});
+};
+
+TraceRecorder.prototype.raw = function(chunk) {
+    this.write({dir: 'raw', hex: chunk.toString('hex')});
+};
+
+TraceRecorder.prototype.line = function(text) {
+    this.write({dir: '<', text: text});
+};
+
+TraceRecorder.prototype.binary = function(message, err) {
+    var entry = {dir: '<', hex: message.toString('hex'), binary: true};
+    if (err) entry.error = err.message;
+    this.write(entry);
+};
+
+TraceRecorder.prototype.reset = function() {
+    this.write({dir: 'reset'});
+};
+
+// stop recording - a file opened by the recorder is closed
+TraceRecorder.prototype.close = function(callback) {
+    if (this.owned && !this.failed) return this.stream.end(callback);
+    if (!this.owned) this.stream.removeListener('error', this.onStreamError);
+    if (callback) callback();
+};
+
+// the entries of a trace file
+function load(path) {
+    return parse(fs.readFileSync(path, 'utf8'));
+}
+
+// the entries of trace text, one JSON object per line
+function parse(text) {
+    return text.split("\n").filter(function(line) {
+        return line.trim().length;
+    }).map(function(line) {
+        return JSON.parse(line);
+    });
+}
+
+// run the recorded data through a fresh parser - returns {entries, mismatches}:
+// the commands and replayed responses in order, and every replayed response
+// that differs from the recorded one ({index, recorded, replayed})
+function replay(entries) {
+    var protocol = new SbdProtocol();
+    var output = [];
+    var time = null;
+
+    protocol.on('data', function(line) {
+        output.push({time: time, dir: '<', text: line});
+    });
+    protocol.on('binary', function(message, err) {
+        var entry = {time: time, dir: '<', hex: message.toString('hex'), binary: true};
+        if (err) entry.error = err.message;
+        output.push(entry);
+    });
+
+    entries.forEach(function(entry) {
+        time = entry.time;
+        if (entry.dir == '>') {
+            output.push(entry);
+            if (entry.binary) protocol.expectBinary();
+        } else if (entry.dir == 'raw') {
+            protocol.write(Buffer.from(entry.hex, 'hex'));
+        } else if (entry.dir == 'reset') {
+            protocol.reset();
+        }
+    });
+
+    var recorded = entries.filter(function(entry) {
+        return entry.dir == '<';
+    });
+    var replayed = output.filter(function(entry) {
+        return entry.dir == '<';
+    });
+    var mismatches = [];
+    for (var i=0;i<Math.max(recorded.length, replayed.length);i++) {
+        if (!sameResponse(recorded[i], replayed[i])) {
+            mismatches.push({index: i, recorded: recorded[i] || null, replayed: replayed[i] || null});
+        }
+    }
+    return {entries: output, mismatches: mismatches};
+}
+
+function sameResponse(a, b) {
+    if (!a || !b) return false;
+    return a.text === b.text && a.hex === b.hex && (a.error || null) === (b.error || null);
+}
+
+module.exports = {
+    TraceRecorder: TraceRecorder,
+    load: load,
+    parse: parse,
+    replay: replay
+};
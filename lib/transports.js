@@ -0,0 +1,104 @@
+// Transports - the byte streams the library can talk to a modem over
+//
+// a transport is any Duplex stream with raw (unframed) data; it may have an
+// "isOpen" flag and emit 'open' once usable (streams without the flag are
+// taken as open), and a close() method. Line and binary framing is done by the
+// protocol layer (lib/protocol.js), so it works the same on every transport.
+
+var net = require('net'),
+        util = require('util'),
+        Duplex = require('stream').Duplex;
+
+// the serial port a modem is plugged into, e.g. a RockBLOCK on /dev/ttyUSB0
+// options: port, baudrate, flowControl
+function serial(options) {
+    // only needed for real serial ports, so loaded on first use
+    var serialport = require("serialport");
+    var baudRate = options.baudrate || 19200;
+
+    if (typeof serialport == 'function') {
+        // serialport 4 to 9 - the module is the constructor
+        return new serialport(options.port, {baudRate: baudRate, rtscts: !!options.flowControl});
+    }
+    if (serialport.SerialPortMock || serialport.SerialPort.binding) {
+        // serialport 10 and later
+        return new serialport.SerialPort({path: options.port, baudRate: baudRate, rtscts: !!options.flowControl});
+    }
+    // serialport 1 to 3
+    return new serialport.SerialPort(options.port, {baudrate: baudRate});
+}
+
+// a raw TCP connection, for modems shared over the network with ser2net or a
+// serial device server
+// options: host, port
+function tcp(options) {
+    var socket = net.connect({host: options.host, port: options.port});
+    socket.isOpen = false;
+    socket.on('connect', function() {
+        socket.isOpen = true;
+        socket.emit('open');
+    });
+    socket.on('close', function() {
+        socket.isOpen = false;
+    });
+    socket.close = function(callback) {
+        socket.end(callback);
+    };
+    return socket;
+}
+
+// one end of an in-memory pair
+function MemoryEnd() {
+    Duplex.call(this);
+    this.isOpen = true;
+    this.peer = null;
+}
+
+util.inherits(MemoryEnd, Duplex);
+
+MemoryEnd.prototype._read = function() {
+};
+
+MemoryEnd.prototype._write = function(chunk, encoding, callback) {
+    if (this.peer.isOpen) this.peer.push(chunk);
+    callback();
+};
+
+MemoryEnd.prototype.close = function(callback) {
+    if (this.isOpen) {
+        this.isOpen = false;
+        this.push(null);
+        this.emit('close');
+        this.peer.close();
+    }
+    if (callback) callback(null);
+};
+
+// two connected in-memory streams - what is written to one is read from the
+// other. Give "host" to the library and drive "modem" from a test
+function memoryPair() {
+    var host = new MemoryEnd();
+    var modem = new MemoryEnd();
+    host.peer = modem;
+    modem.peer = host;
+    return {host: host, modem: modem};
+}
+
+// the transport for the modem configuration: the "transport" option (a stream,
+// or a function returning one), a "tcp://host:port" port, or the serial port
+function create(options) {
+    if (typeof options.transport == 'function') return options.transport(options);
+    if (options.transport) return options.transport;
+
+    var m = String(options.port).match(/^tcp:\/\/([^:\/]+):(\d+)/);
+    if (m) return tcp({host: m[1], port: Number(m[2])});
+
+    return serial(options);
+}
+
+module.exports = {
+    serial: serial,
+    tcp: tcp,
+    memoryPair: memoryPair,
+    create: create
+};
@@ -0,0 +1,71 @@
+// Unsolicited result codes - decoding of what the modem reports on its own
+
+var sbdix = require('./sbdix');
+
+// +AREG:<event>,<error> - the automatic registration (AT+SBDAREG) events
+var REGISTRATION_EVENTS = {
+    0: "Suspended, registration is not allowed",
+    1: "Auto-registration has been performed successfully",
+    2: "Auto-registration failed and will be retried after a delay"
+};
+
+// registration errors, shared by +AREG and AT+SBDREG
+var REGISTRATION_ERRORS = {
+    0: "No error",
+    2: "Session completed but the requested Location Update was not accepted"
+};
+
+// +CIEV:<indicator>,<value> - the indicators enabled with AT+CIER
+var INDICATORS = {
+    0: 'signal', // signal strength, 0 to 5 bars
+    1: 'service', // service availability, 0 or 1
+    2: 'antenna' // antenna fault, 0 ok or 1 fault
+};
+
+function describeRegistrationError(error) {
+    return REGISTRATION_ERRORS[error] || sbdix.describe(error);
+}
+
+// {indicator: 'signal', value: 3} from "+CIEV:0,3"
+function parseIndicator(line) {
+    var m = line.match(/^\+CIEV:\s*(\d+),\s*(\d+)/);
+    if (!m) return null;
+    return {
+        indicator: INDICATORS[m[1]] || Number(m[1]),
+        value: Number(m[2])
+    };
+}
+
+// {event, eventText, error, errorText} from "+AREG:1,0"
+function parseRegistration(line) {
+    var m = line.match(/^\+AREG:\s*(\d+),\s*(\d+)/);
+    if (!m) return null;
+    var event = Number(m[1]);
+    var error = Number(m[2]);
+    return {
+        event: event,
+        eventText: REGISTRATION_EVENTS[event] || "Unknown registration event",
+        error: error,
+        errorText: describeRegistrationError(error),
+        registered: event == 1
+    };
+}
+
+// {subsystem, error} from "HARDWARE FAILURE: 4,1"
+function parseHardwareFailure(line) {
+    var m = line.match(/^HARDWARE FAILURE:\s*(\d+)\s*,\s*(\d+)/);
+    return {
+        subsystem: m?Number(m[1]):null,
+        error: m?Number(m[2]):null
+    };
+}
+
+module.exports = {
+    REGISTRATION_EVENTS: REGISTRATION_EVENTS,
+    REGISTRATION_ERRORS: REGISTRATION_ERRORS,
+    INDICATORS: INDICATORS,
+    describeRegistrationError: describeRegistrationError,
+    parseIndicator: parseIndicator,
+    parseRegistration: parseRegistration,
+    parseHardwareFailure: parseHardwareFailure
+};
@@ -0,0 +1,54 @@
+// Connection watchdog - pings an idle modem with AT, notices a port that was
+// closed (e.g. an unplugged USB serial adapter) or a modem that stopped
+// answering, then reopens the port with backoff and initializes the modem again
+//
+// options (globals.watchdog, true for the defaults):
+//   interval     - how often to ping the modem while it is idle in ms (default 60s)
+//   timeout      - how long to wait for the answer to a ping in ms (default 5s)
+//   failures     - commands (pings or others) timing out in a row before the
+//                  modem counts as lost (default 2)
+//   initialDelay - delay before the first attempt to reconnect in ms (default 1s)
+//   maxDelay     - upper limit for the delay between attempts in ms (default 1 minute)
+//   factor       - the delay is multiplied by this after every attempt (default 2)
+//   maxAttempts  - give up after this many attempts, 0 never does (default 0)
+
+var RetryPolicy = require('./retry-policy');
+
+var DEFAULTS = {
+    interval: 60000,
+    timeout: 5000,
+    failures: 2,
+    initialDelay: 1000,
+    maxDelay: 60000,
+    factor: 2,
+    maxAttempts: 0
+};
+
+// what getState() reports
+var STATES = ['closed', 'connected', 'initializing', 'ready', 'busy', 'faulted'];
+
+// the complete options for "option" (true or an object)
+function resolve(option) {
+    var options = {};
+    for (var key in DEFAULTS) {
+        options[key] = (option && option[key] !== undefined)?option[key]:DEFAULTS[key];
+    }
+    return options;
+}
+
+// the backoff between attempts to reconnect, a RetryPolicy whose delay() is used
+function backoff(options) {
+    return new RetryPolicy({
+        initialDelay: options.initialDelay,
+        maxDelay: options.maxDelay,
+        factor: options.factor,
+        jitter: 0.1
+    });
+}
+
+module.exports = {
+    DEFAULTS: DEFAULTS,
+    STATES: STATES,
+    resolve: resolve,
+    backoff: backoff
+};
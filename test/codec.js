@@ -0,0 +1,84 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        codec = require('../lib/codec');
+
+codec.schema('test-report', 0x70, [
+    {name: 'lat', type: 'lat'},
+    {name: 'lon', type: 'lon'},
+    {name: 'speed', type: 'uint16', scale: 0.1},
+    {name: 'ok', type: 'bool'},
+    {name: 'note', type: 'string'}
+]);
+
+function roundTrip(value, name) {
+    var payload = codec.encode(value, name);
+    assert.strictEqual(payload[0], codec.get(name).tag);
+    var decoded = codec.decode(payload);
+    assert.strictEqual(decoded.codec, name);
+    return decoded.value;
+}
+
+function badPayload(err) {
+    return err.code == 'BAD_PAYLOAD';
+}
+
+test('the built-in codecs decode what they encode', function() {
+    var text = "position report, position report, position report";
+    assert.strictEqual(roundTrip(text, 'text'), text);
+    assert.strictEqual(roundTrip(text, 'text-deflate'), text);
+    assert.deepStrictEqual(roundTrip({a: [1, 2], b: "c"}, 'json'), {a: [1, 2], b: "c"});
+    assert.deepStrictEqual(roundTrip({a: [1, 2], b: "c"}, 'json-deflate'), {a: [1, 2], b: "c"});
+    assert.deepStrictEqual(roundTrip(Buffer.from(text), 'deflate'), Buffer.from(text));
+});
+
+test('deflate makes repetitive text smaller', function() {
+    var text = new Array(20).join("temperature=21.5;");
+    assert.ok(codec.encode(text, 'text-deflate').length < text.length);
+});
+
+test('a schema packs the fields and scales them back', function() {
+    var value = roundTrip({lat: 60.1699, lon: -24.9384, speed: 12.3, ok: true, note: "héllo"}, 'test-report');
+    assert.ok(Math.abs(value.lat-60.1699) < 1e-4);
+    assert.ok(Math.abs(value.lon+24.9384) < 1e-4);
+    assert.strictEqual(value.speed, 12.3);
+    assert.strictEqual(value.ok, true);
+    assert.strictEqual(value.note, "héllo");
+});
+
+test('a truncated schema payload is a BAD_PAYLOAD error', function() {
+    var payload = codec.encode({lat: 1, lon: 2, speed: 3, ok: false, note: "abc"}, 'test-report');
+    for (var length=1;length<payload.length;length++) {
+        assert.throws(function() {
+            codec.decode(payload.slice(0, length));
+        }, badPayload, "truncated to "+length);
+    }
+});
+
+test('a string longer than the payload is a BAD_PAYLOAD error', function() {
+    codec.schema('test-note', 0x71, [{name: 'note', type: 'string'}]);
+    assert.throws(function() {
+        codec.decode(Buffer.from([0x71, 50]));
+    }, badPayload);
+});
+
+test('unknown and empty payloads are refused', function() {
+    assert.throws(function() {
+        codec.decode(Buffer.alloc(0));
+    }, badPayload);
+    assert.throws(function() {
+        codec.decode(Buffer.from([0xee, 1]));
+    }, badPayload);
+});
+
+test('tags are unique and the fragment marker is reserved', function() {
+    assert.throws(function() {
+        codec.register({name: 'other', tag: 0x70, encode: String, decode: String});
+    }, function(err) {
+        return err.code == 'BAD_CODEC';
+    });
+    assert.throws(function() {
+        codec.register({name: 'marker', tag: 0xfb, encode: String, decode: String});
+    }, function(err) {
+        return err.code == 'BAD_CODEC';
+    });
+});
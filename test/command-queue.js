@@ -0,0 +1,130 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        CommandQueue = require('../lib/command-queue'),
+        errors = require('../lib/errors');
+
+test('commands run one after the other in order', function() {
+    var sent = [];
+    var queue = new CommandQueue(function(command) {
+        sent.push(command.command);
+    });
+    var results = [];
+    queue.push({command: "A", callback: function(err, result) { results.push(result); }});
+    queue.push({command: "B", callback: function(err, result) { results.push(result); }});
+    assert.deepStrictEqual(sent, ["A"]);
+    queue.complete(null, "a");
+    assert.deepStrictEqual(sent, ["A", "B"]);
+    queue.complete(null, "b");
+    assert.deepStrictEqual(results, ["a", "b"]);
+    assert.strictEqual(queue.length(), 0);
+});
+
+test('follow-up commands go ahead of the ones queued meanwhile', function() {
+    var sent = [];
+    var queue = new CommandQueue(function(command) {
+        sent.push(command.command);
+    });
+    queue.push({command: "AT+SBDWB=1", callback: function() {
+        queue.push({command: "DATA", callback: function() {}});
+    }});
+    queue.push({command: "AT+CSQ", callback: function() {}});
+    queue.complete(null, "READY");
+    assert.deepStrictEqual(sent, ["AT+SBDWB=1", "DATA"]);
+    queue.complete(null, "0");
+    assert.deepStrictEqual(sent, ["AT+SBDWB=1", "DATA", "AT+CSQ"]);
+});
+
+test('a command that gets no answer times out', function(t, done) {
+    var queue = new CommandQueue(function() {});
+    queue.push({command: "AT", timeout: 20, callback: function(err) {
+        assert.ok(err instanceof errors.TimeoutError);
+        assert.strictEqual(err.retryable, true);
+        done();
+    }});
+});
+
+test('onTimeout can give a more specific error', function(t, done) {
+    var queue = new CommandQueue(function() {});
+    queue.push({command: "AT+CIER=1,1,0,0", timeout: 20, onTimeout: function() {
+        return new errors.IridiumError("No network", 'NO_NETWORK', true);
+    }, callback: function(err) {
+        assert.strictEqual(err.code, 'NO_NETWORK');
+        done();
+    }});
+});
+
+test('a waiting command can be cancelled, the running one not', function() {
+    var queue = new CommandQueue(function() {});
+    var first = queue.push({command: "A", callback: function() {}});
+    var cancelled = null;
+    var second = queue.push({command: "B", callback: function(err) { cancelled = err; }});
+    assert.strictEqual(queue.cancel(first), false);
+    assert.strictEqual(queue.cancel(second), true);
+    assert.ok(cancelled instanceof errors.CancelledError);
+    assert.strictEqual(queue.length(), 1);
+});
+
+test('a paused queue holds the commands until resumed', function() {
+    var sent = [];
+    var queue = new CommandQueue(function(command) {
+        sent.push(command.command);
+    });
+    queue.pause();
+    queue.push({command: "A", callback: function() {}});
+    assert.deepStrictEqual(sent, []);
+    queue.resume();
+    assert.deepStrictEqual(sent, ["A"]);
+});
+
+test('after a timeout the sync command goes ahead of the waiting ones', function(t, done) {
+    var sent = [];
+    var queue = new CommandQueue(function(command) {
+        sent.push(command.command);
+    }, function() {
+        return {command: "SYNC", timeout: 20, callback: function() {}};
+    });
+    queue.push({command: "A", timeout: 20, callback: function(err) {
+        assert.ok(err instanceof errors.TimeoutError);
+        process.nextTick(function() {
+            assert.deepStrictEqual(sent, ["A", "SYNC"]);
+            assert.strictEqual(queue.active.sync, true);
+            queue.complete(null, "");
+            assert.deepStrictEqual(sent, ["A", "SYNC", "B"]);
+            done();
+        });
+    }});
+    queue.push({command: "B", callback: function() {}});
+});
+
+test('a sync command that times out is not synced again', function(t, done) {
+    var sent = [];
+    var queue = new CommandQueue(function(command) {
+        sent.push(command.command);
+    }, function() {
+        return {command: "SYNC", timeout: 20, callback: function(err) {
+            assert.ok(err instanceof errors.TimeoutError);
+            process.nextTick(function() {
+                assert.deepStrictEqual(sent, ["A", "SYNC", "B"]);
+                done();
+            });
+        }};
+    });
+    queue.push({command: "A", timeout: 20, callback: function() {}});
+    queue.push({command: "B", callback: function() {}});
+});
+
+test('a command with resync false is not followed by a sync command', function(t, done) {
+    var sent = [];
+    var queue = new CommandQueue(function(command) {
+        sent.push(command.command);
+    }, function() {
+        return {command: "SYNC", callback: function() {}};
+    });
+    queue.push({command: "PING", timeout: 20, resync: false, callback: function() {
+        process.nextTick(function() {
+            assert.deepStrictEqual(sent, ["PING", "B"]);
+            done();
+        });
+    }});
+    queue.push({command: "B", callback: function() {}});
+});
@@ -0,0 +1,83 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        net = require('net'),
+        directip = require('../lib/directip');
+
+function element(iei, data) {
+    var out = Buffer.alloc(3+data.length);
+    out[0] = iei;
+    out.writeUInt16BE(data.length, 1);
+    data.copy(out, 3);
+    return out;
+}
+
+function message(elements) {
+    var body = Buffer.concat(elements);
+    var header = Buffer.from([1, 0, 0]);
+    header.writeUInt16BE(body.length, 1);
+    return Buffer.concat([header, body]);
+}
+
+function moHeader() {
+    var data = Buffer.alloc(28);
+    data.fill(0);
+    data.writeUInt32BE(1234, 0);
+    data.write("300234010000000", 4, 15, 'ascii');
+    data.writeUInt16BE(17, 20);
+    data.writeUInt32BE(1500000000, 24);
+    return element(0x01, data);
+}
+
+function badDirectIP(err) {
+    return err.code == 'BAD_DIRECTIP';
+}
+
+test('an MO message is parsed with its location', function() {
+    var location = Buffer.from([0x02, 60, 0, 0, 24, 0, 0, 0, 0, 0, 5]);
+    var parsed = directip.parseMO(message([moHeader(), element(0x02, Buffer.from("hi")), element(0x03, location)]));
+    assert.strictEqual(parsed.imei, "300234010000000");
+    assert.strictEqual(parsed.momsn, 17);
+    assert.strictEqual(parsed.cdrReference, 1234);
+    assert.deepStrictEqual(parsed.location, {lat: -60, lon: 24, cep: 5});
+});
+
+test('a truncated MO header is a BAD_DIRECTIP error', function() {
+    assert.throws(function() {
+        directip.parseMO(message([element(0x01, Buffer.alloc(10))]));
+    }, badDirectIP);
+});
+
+test('a truncated location is a BAD_DIRECTIP error', function() {
+    assert.throws(function() {
+        directip.parseMO(message([moHeader(), element(0x03, Buffer.alloc(5))]));
+    }, badDirectIP);
+});
+
+test('an element longer than the message is a BAD_DIRECTIP error', function() {
+    var buffer = message([moHeader()]);
+    buffer.writeUInt16BE(40, 4);
+    assert.throws(function() {
+        directip.parseMO(buffer);
+    }, badDirectIP);
+});
+
+test('a connection that stops sending is dropped', function(t, done) {
+    var server = directip.createServer({timeout: 50}, function() {
+        assert.fail("no message was sent");
+    });
+    var invalid = null;
+    server.on('invalid', function(err, data) {
+        invalid = err;
+        assert.strictEqual(data, null);
+    });
+    server.listen(0, '127.0.0.1', function() {
+        var socket = net.connect(server.address().port, '127.0.0.1', function() {
+            // only the start of the protocol header
+            socket.write(Buffer.from([1, 0]));
+        });
+        socket.on('close', function() {
+            assert.strictEqual(invalid.code, 'TIMEOUT');
+            server.close(done);
+        });
+    });
+});
@@ -0,0 +1,167 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        crypto = require('crypto'),
+        zlib = require('zlib'),
+        fragment = require('../lib/fragment'),
+        errors = require('../lib/errors'),
+        openSimulator = require('./helpers').openSimulator;
+
+// the messages a reassembler emits for "fragments"
+function reassemble(fragments, options) {
+    var reassembler = new fragment.Reassembler(options);
+    var messages = [];
+    reassembler.on('message', function(message, id) {
+        messages.push({message: message, id: id});
+    });
+    fragments.forEach(function(buffer) {
+        assert.strictEqual(reassembler.push(buffer), true);
+    });
+    reassembler.clear();
+    return messages;
+}
+
+// a simulator whose MO messages go through a reassembler, reassembled ones
+// are passed to "received"
+function openReassembling(received, callback) {
+    var reassembler = new fragment.Reassembler();
+    reassembler.on('message', received);
+    openSimulator(function(err, modem, sim) {
+        sim.on('mo', function(buffer) {
+            reassembler.push(buffer);
+        });
+        callback(err, modem, sim);
+    });
+}
+
+test('fragments fit in an MO message and carry a header', function() {
+    var message = crypto.randomBytes(1000);
+    var fragments = fragment.split(message, 0x1234);
+    assert.strictEqual(fragments.length, Math.ceil(1000/(fragment.MO_MAX_LENGTH-fragment.HEADER_LENGTH)));
+    fragments.forEach(function(buffer, i) {
+        assert.ok(buffer.length <= fragment.MO_MAX_LENGTH);
+        assert.ok(fragment.isFragment(buffer));
+        assert.strictEqual(buffer.readUInt16BE(1), 0x1234);
+        assert.strictEqual(buffer[3], i);
+        assert.strictEqual(buffer[4], fragments.length);
+        assert.strictEqual(buffer.readUInt16BE(5), fragment.crc16(message));
+        assert.strictEqual(buffer[7], fragment.crc8(buffer, 7));
+    });
+});
+
+test('other messages starting with the marker are not fragments', function() {
+    var header = Buffer.from([0xfb, 0, 1, 0, 2, 0x12, 0x34, 0]);
+    assert.ok(!fragment.isFragment(Buffer.concat([header, Buffer.from("data")])));
+    header[7] = fragment.crc8(header, 7);
+    assert.ok(fragment.isFragment(Buffer.concat([header, Buffer.from("data")])));
+    // only the fragment of an empty message has no data
+    assert.ok(!fragment.isFragment(header));
+});
+
+test('the fragments reassemble to the message, in any order', function() {
+    var message = crypto.randomBytes(2000);
+    var fragments = fragment.split(message, 7).reverse();
+    fragments.push(fragments[2]); // a duplicate
+    var messages = reassemble(fragments);
+    assert.strictEqual(messages.length, 1);
+    assert.deepStrictEqual(messages[0].message, message);
+    assert.strictEqual(messages[0].id, 7);
+});
+
+test('a single fragment message reassembles too', function() {
+    var messages = reassemble(fragment.split(Buffer.from("short"), 1));
+    assert.deepStrictEqual(messages[0].message, Buffer.from("short"));
+});
+
+test('messages that are not fragments are left alone', function() {
+    var reassembler = new fragment.Reassembler();
+    assert.strictEqual(reassembler.push(Buffer.from("plain")), false);
+});
+
+test('a corrupted fragment is reported as corrupt', function() {
+    var fragments = fragment.split(crypto.randomBytes(500), 3);
+    fragments[1][fragment.HEADER_LENGTH] ^= 0xff;
+    var reassembler = new fragment.Reassembler();
+    var corrupt = null;
+    reassembler.on('corrupt', function(err) {
+        corrupt = err;
+    });
+    reassembler.on('message', function() {
+        assert.fail("corrupt message emitted");
+    });
+    fragments.forEach(function(buffer) {
+        reassembler.push(buffer);
+    });
+    assert.ok(corrupt instanceof errors.ChecksumError);
+});
+
+test('a message that can not be split is refused', function() {
+    assert.throws(function() {
+        fragment.split(Buffer.alloc(256*(fragment.MO_MAX_LENGTH-fragment.HEADER_LENGTH)), 1);
+    }, function(err) {
+        return err.code == 'MESSAGE_TOO_LONG';
+    });
+});
+
+test('an incomplete set expires without further fragments', function(t, done) {
+    var reassembler = new fragment.Reassembler({timeout: 30});
+    // the expiry timer does not keep the process running
+    var alive = setTimeout(function() {
+        assert.fail("not expired");
+    }, 1000);
+    reassembler.on('expired', function(id, received, count) {
+        clearTimeout(alive);
+        assert.strictEqual(id, 9);
+        assert.strictEqual(received, 1);
+        assert.strictEqual(count, 2);
+        assert.strictEqual(reassembler.incomplete(), 0);
+        done();
+    });
+    reassembler.push(fragment.split(Buffer.alloc(500), 9)[0]);
+});
+
+test('sendLargeMessage sends fragments the other end puts together', function(t, done) {
+    var message = crypto.randomBytes(900);
+    var received = null;
+    openReassembling(function(buffer) {
+        received = buffer;
+    }, function(err, modem) {
+        assert.ifError(err);
+        modem.sendLargeMessage(message, function(err, sessions) {
+            assert.ifError(err);
+            assert.strictEqual(sessions.length, 3);
+            assert.deepStrictEqual(received, message);
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('sendBinaryMessage refuses a message longer than an MO message', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        modem.sendBinaryMessage(Buffer.alloc(fragment.MO_MAX_LENGTH+1), function(err) {
+            assert.strictEqual(err.code, 'MESSAGE_TOO_LONG');
+            assert.strictEqual(err.retryable, false);
+            assert.strictEqual(sim.sent.length, 0);
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('sendCompressedMessage fragments text that does not compress enough', function(t, done) {
+    var text = crypto.randomBytes(600).toString('hex');
+    var received = null;
+    openReassembling(function(buffer) {
+        received = buffer;
+    }, function(err, modem) {
+        assert.ifError(err);
+        modem.sendCompressedMessage(text, function(err, sessions) {
+            assert.ifError(err);
+            assert.ok(sessions.length > 1);
+            assert.strictEqual(zlib.inflateRawSync(received).toString(), text);
+            modem.close();
+            done();
+        });
+    });
+});
@@ -0,0 +1,34 @@
+// Shared fixtures of the tests
+
+var iridium = require('..');
+
+// a modem talking to a fresh simulator, opened and initialized - "options" are
+// the simulator options, "options.modem" extra modem options (or a function
+// returning them for the simulator)
+function openSimulator(options, callback) {
+    if (typeof options == 'function') {
+        callback = options;
+        options = {};
+    }
+    var simOptions = {latency: 1, sessionDelay: 5};
+    var key;
+    for (key in options) {
+        if (key != 'modem') simOptions[key] = options[key];
+    }
+    var sim = new iridium.ModemSimulator(simOptions);
+
+    var modemOptions = {defaultTimeout: 1000};
+    var extra = (typeof options.modem == 'function')?options.modem(sim):options.modem;
+    for (key in extra) {
+        modemOptions[key] = extra[key];
+    }
+    modemOptions.transport = sim;
+    var modem = iridium.createIridium(modemOptions);
+    modem.open(function(err) {
+        callback(err, modem, sim);
+    });
+}
+
+module.exports = {
+    openSimulator: openSimulator
+};
@@ -0,0 +1,94 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        initProfile = require('../lib/init'),
+        openSimulator = require('./helpers').openSimulator;
+
+function commands(options) {
+    return initProfile.steps(initProfile.resolve(options), {flowControl: false}).map(function(step) {
+        return step.command || step.run;
+    });
+}
+
+test('a profile object starts from the profile it names', function() {
+    assert.deepStrictEqual(commands(), ["ATE0", "AT&K0", "AT+SBDD2", "AT+SBDAREG=1", "AT+SBDMTA=1"]);
+    assert.deepStrictEqual(commands('preserve'), ["ATE0", "AT&K0", "AT+SBDD0", "AT+SBDAREG=1", "AT+SBDMTA=1"]);
+    assert.deepStrictEqual(commands({
+        profile: 'minimal',
+        flowControl: true,
+        registration: 3,
+        indicators: true,
+        steps: ["AT&D0", {name: 'dtr', command: "AT&D2"}],
+        store: 1
+    }), ["ATE0", "AT&K3", "AT+SBDAREG=3", "startSignalMonitoring", "AT&D0", "AT&D2", "AT&W1", "AT&Y1"]);
+});
+
+test('an unknown profile or clearBuffers option is an UNKNOWN_PROFILE error', function() {
+    assert.throws(function() {
+        initProfile.resolve('everything');
+    }, function(err) {
+        return err.code == 'UNKNOWN_PROFILE';
+    });
+    assert.throws(function() {
+        initProfile.steps(initProfile.resolve({clearBuffers: 'both'}), {});
+    }, function(err) {
+        return err.code == 'UNKNOWN_PROFILE';
+    });
+});
+
+test('a custom profile sets the modem up and keeps an unread MT message', function(t, done) {
+    var init = {profile: 'preserve', registration: 3, store: 1};
+    openSimulator({modem: function(sim) {
+        sim.mtBuffer = Buffer.from("unread");
+        return {init: init};
+    }}, function(err, modem, sim) {
+        assert.ifError(err);
+        assert.strictEqual(modem.initialized, true);
+        assert.deepStrictEqual(sim.mtBuffer, Buffer.from("unread"));
+        assert.strictEqual(sim.echo, false);
+        assert.strictEqual(sim.registration, 3);
+        assert.strictEqual(sim.ringAlerts, true);
+        assert.strictEqual(sim.powerUpProfile, 1);
+        assert.deepStrictEqual(sim.profiles[1], {echo: false, flowControl: 0, ringAlerts: true});
+        modem.close();
+        done();
+    });
+});
+
+test('a failing step ends the initialization with initfailed', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        var failures = [];
+        var initialized = false;
+        modem.on('initfailed', function(err, step) {
+            failures.push(step);
+        });
+        modem.on('initialized', function() {
+            initialized = true;
+        });
+        modem.configure({init: {steps: ["AT+NOPE", "AT&W0"]}});
+        modem.init(function(err) {
+            assert.ok(err);
+            assert.strictEqual(err.step, 'step1');
+            assert.deepStrictEqual(failures, ['step1']);
+            assert.strictEqual(initialized, false);
+            assert.strictEqual(modem.initialized, false);
+            // the steps after it were not run
+            assert.deepStrictEqual(sim.profiles, {});
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('a modem that never answers fails the ready step', function(t, done) {
+    openSimulator({modem: function(sim) {
+        sim.setPower(false);
+        return {init: {readyTimeout: 200, retryInterval: 50}};
+    }}, function(err, modem) {
+        assert.strictEqual(err.code, 'NOT_RESPONDING');
+        assert.strictEqual(err.step, 'ready');
+        assert.strictEqual(modem.initialized, false);
+        modem.close();
+        done();
+    });
+});
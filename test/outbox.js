@@ -0,0 +1,157 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        fs = require('fs'),
+        os = require('os'),
+        path = require('path'),
+        EventEmitter = require('events').EventEmitter,
+        errors = require('../lib/errors'),
+        Outbox = require('../lib/outbox');
+
+// a fresh journal file, removed once the test is over
+function journal(t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+    t.after(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+    return path.join(dir, "outbox.jsonl");
+}
+
+// an initialized modem whose sessions are played by "send" - "bars" is the
+// signal checkSignal sees
+function fakeModem(bars, send) {
+    var modem = new EventEmitter();
+    modem.initialized = true;
+    modem.signalChecks = 0;
+    modem.checkSignal = function(minBars, callback) {
+        modem.signalChecks++;
+        if (bars < minBars) return callback(new errors.IridiumError("Signal too weak", 'LOW_SIGNAL', true));
+        callback(null, bars);
+    };
+    modem.mailboxSend = function(payload, callback, policy) {
+        assert.strictEqual(policy.minBars, 0);
+        send(payload, callback);
+    };
+    return modem;
+}
+
+function lines(file) {
+    return fs.readFileSync(file, 'utf8').split("\n").filter(Boolean).length;
+}
+
+test('queued messages survive a restart, highest priority first', function(t) {
+    var file = journal(t);
+    var outbox = new Outbox(file);
+    outbox.enqueue("low");
+    var high = outbox.enqueue("high", {priority: 2});
+    outbox.remove(outbox.enqueue("gone").id);
+
+    var reloaded = new Outbox(file);
+    assert.deepStrictEqual(reloaded.list().map(function(entry) {
+        return entry.payload.toString();
+    }), ["high", "low"]);
+    assert.strictEqual(reloaded.peek().id, high.id);
+    // compacted on load
+    assert.strictEqual(lines(file), 2);
+});
+
+test('a message longer than an SBD message is refused', function(t) {
+    var outbox = new Outbox(journal(t));
+    assert.throws(function() {
+        outbox.enqueue(Buffer.alloc(341));
+    }, function(err) {
+        return err.code == 'MESSAGE_TOO_LONG';
+    });
+    assert.strictEqual(outbox.list().length, 0);
+});
+
+test('the journal is compacted once it grows', function(t) {
+    var file = journal(t);
+    var outbox = new Outbox(file, {compactAfter: 10});
+    var entry = outbox.enqueue("x");
+    for (var i=0;i<30;i++) {
+        outbox.write({op: 'attempt', id: entry.id});
+    }
+    assert.ok(lines(file) <= 11);
+    assert.strictEqual(new Outbox(file).get(entry.id).attempts, 30);
+});
+
+test('compaction keeps only the latest finished entries', function(t) {
+    var clock = 1000;
+    t.mock.method(Date, 'now', function() {
+        return clock++;
+    });
+    var file = journal(t);
+    var outbox = new Outbox(file, {compactAfter: 1, keepFinished: 2});
+    var queued = outbox.enqueue("queued");
+    for (var i=0;i<6;i++) {
+        outbox.markSent(outbox.enqueue("message "+i).id, i);
+    }
+
+    assert.deepStrictEqual(outbox.listSent().map(function(entry) {
+        return entry.momsn;
+    }).sort(), [4, 5]);
+    assert.strictEqual(outbox.get(queued.id).status, 'queued');
+    assert.strictEqual(new Outbox(file).listSent().length, 2);
+    outbox.compact();
+    assert.strictEqual(outbox.listSent().length, 0);
+});
+
+test('a message that fails for good does not hold up the others', function(t) {
+    var outbox = new Outbox(journal(t));
+    var sent = [];
+    var modem = fakeModem(5, function(payload, callback) {
+        if (payload.toString() == "first") return callback(new errors.IridiumError("Wrong size", 'WRITE_SIZE'));
+        sent.push(payload.toString());
+        callback(null, {momsn: sent.length});
+    });
+    var failed = [];
+    outbox.on('failed', function(entry, err) {
+        failed.push(entry.payload.toString());
+    });
+    outbox.enqueue("first", {priority: 1});
+    outbox.enqueue("second");
+    outbox.attach(modem, {interval: 60000});
+    outbox.detach();
+
+    assert.deepStrictEqual(failed, ["first"]);
+    assert.strictEqual(outbox.listFailed()[0].code, 'WRITE_SIZE');
+    assert.deepStrictEqual(sent, ["second"]);
+    assert.strictEqual(outbox.list().length, 0);
+    // once per drain, not again for every message
+    assert.strictEqual(modem.signalChecks, 1);
+});
+
+test('a retryable failure defers the message to the next drain', function(t) {
+    var outbox = new Outbox(journal(t));
+    var fail = true;
+    var modem = fakeModem(5, function(payload, callback) {
+        if (fail) return callback(new errors.IridiumError("No network service", 'NO_SERVICE', true));
+        callback(null, {momsn: 1});
+    });
+    var deferred = 0;
+    outbox.on('deferred', function() {
+        deferred++;
+    });
+    var entry = outbox.enqueue("later");
+    outbox.attach(modem, {interval: 60000});
+    assert.strictEqual(deferred, 1);
+    assert.strictEqual(outbox.get(entry.id).status, 'queued');
+
+    fail = false;
+    outbox.drain();
+    outbox.detach();
+    assert.strictEqual(outbox.get(entry.id).status, 'sent');
+    assert.strictEqual(outbox.get(entry.id).attempts, 2);
+});
+
+test('without signal nothing is tried', function(t) {
+    var outbox = new Outbox(journal(t));
+    var modem = fakeModem(0, function() {
+        assert.fail("sent without signal");
+    });
+    var entry = outbox.enqueue("waiting");
+    outbox.attach(modem, {interval: 60000});
+    outbox.detach();
+    assert.strictEqual(outbox.get(entry.id).attempts, 0);
+    assert.strictEqual(outbox.list().length, 1);
+});
@@ -0,0 +1,60 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        openSimulator = require('./helpers').openSimulator;
+
+// a simulated modem switched by a power adapter, off after idleTimeout ms
+function openPowered(idleTimeout, callback) {
+    openSimulator({bootDelay: 5, modem: function(sim) {
+        return {power: {
+            adapter: function(on, callback) {
+                sim.setPower(on);
+                // the line settles
+                setTimeout(callback, 10);
+            },
+            bootTimeout: 1000,
+            idleTimeout: idleTimeout
+        }};
+    }}, callback);
+}
+
+test('the idle timer switches the modem off and the next command on again', function(t, done) {
+    openPowered(50, function(err, modem) {
+        assert.ifError(err);
+        modem.once('poweroff', function() {
+            assert.strictEqual(modem.powerState, 'off');
+            modem.getSignalQuality(function(err, bars) {
+                assert.ifError(err);
+                assert.strictEqual(bars, 5);
+                assert.strictEqual(modem.powerState, 'on');
+                modem.close();
+                done();
+            });
+        });
+        // the idle timer does not keep the process running
+        var alive = setTimeout(function() {}, 1000);
+        modem.once('poweron', function() {
+            clearTimeout(alive);
+        });
+    });
+});
+
+test('after powerOff() commands fail until powerOn()', function(t, done) {
+    openPowered(0, function(err, modem) {
+        assert.ifError(err);
+        modem.powerOff(function(err) {
+            assert.ifError(err);
+            modem.getSignalQuality(function(err) {
+                assert.strictEqual(err.code, 'POWERED_OFF');
+                modem.powerOn(function(err) {
+                    assert.ifError(err);
+                    modem.getSignalQuality(function(err, bars) {
+                        assert.ifError(err);
+                        assert.strictEqual(bars, 5);
+                        modem.close();
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
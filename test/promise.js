@@ -0,0 +1,58 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        EventEmitter = require('events').EventEmitter,
+        iridium = require('..'),
+        promise = require('../lib/promise');
+
+test('fromCallback calls back or returns a promise', function(t, done) {
+    var result = promise.fromCallback(function(err, value) {
+        assert.ifError(err);
+        assert.strictEqual(value, 1);
+        promise.fromCallback(null, function(callback) {
+            callback(new Error("failed"));
+        }).catch(function(err) {
+            assert.strictEqual(err.message, "failed");
+            done();
+        });
+    }, function(callback) {
+        callback(null, 1);
+    });
+    assert.strictEqual(result, undefined);
+});
+
+test('eventIterator buffers events until they are read', function(t, done) {
+    var emitter = new EventEmitter();
+    var iterator = promise.eventIterator(emitter, 'value', function(a, b) {
+        return a+b;
+    });
+    emitter.emit('value', 1, 2);
+    iterator.next().then(function(first) {
+        assert.deepStrictEqual(first, {value: 3, done: false});
+        return iterator.return();
+    }).then(function() {
+        assert.strictEqual(emitter.listenerCount('value'), 0);
+        return iterator.next();
+    }).then(function(last) {
+        assert.strictEqual(last.done, true);
+        done();
+    });
+});
+
+test('a failed mailbox check without a callback is emitted, not left unhandled', function(t, done) {
+    var modem = iridium.createIridium();
+    modem.sendMessage = function(message, callback) {
+        callback(new Error("no network"));
+    };
+    function unhandled(err) {
+        assert.fail("unhandled rejection "+err);
+    }
+    process.on('unhandledRejection', unhandled);
+    modem.on('mailboxerror', function(err) {
+        assert.strictEqual(err.message, "no network");
+        setImmediate(function() {
+            process.removeListener('unhandledRejection', unhandled);
+            done();
+        });
+    });
+    modem.mailboxCheck();
+});
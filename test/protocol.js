@@ -0,0 +1,197 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        SbdProtocol = require('../lib/protocol'),
+        errors = require('../lib/errors'),
+        openSimulator = require('./helpers').openSimulator;
+
+// an AT+SBDRB response for "message", with the checksum given or the right one
+function sbdrb(message, sum) {
+    var out = Buffer.alloc(message.length+4);
+    out.writeUInt16BE(message.length, 0);
+    message.copy(out, 2);
+    out.writeUInt16BE((sum === undefined)?SbdProtocol.checksum(message):sum, message.length+2);
+    return Buffer.concat([out, Buffer.from("\r\nOK\r\n")]);
+}
+
+// the events of a protocol fed with "chunks" in binary mode
+function read(chunks) {
+    var protocol = new SbdProtocol();
+    var events = [];
+    protocol.on('binary', function(message, err) {
+        events.push({binary: message, err: err});
+    });
+    protocol.on('data', function(line) {
+        events.push({line: line});
+    });
+    protocol.expectBinary();
+    chunks.forEach(function(chunk) {
+        protocol.write(chunk);
+    });
+    return events;
+}
+
+test('the checksum is the low 16 bits of the sum of the bytes', function() {
+    assert.strictEqual(SbdProtocol.checksum(Buffer.from([1, 2, 3])), 6);
+    var big = Buffer.alloc(300);
+    big.fill(0xff);
+    assert.strictEqual(SbdProtocol.checksum(big), (300*0xff) & 0xffff);
+});
+
+test('lines are split on newlines and may arrive in pieces', function() {
+    var protocol = new SbdProtocol();
+    var lines = [];
+    protocol.on('data', function(line) {
+        lines.push(line);
+    });
+    protocol.write(Buffer.from("+CSQ:"));
+    protocol.write(Buffer.from("4\r\n\r\nO"));
+    protocol.write(Buffer.from("K\r\n"));
+    assert.deepStrictEqual(lines, ["+CSQ:4\r", "\r", "OK\r"]);
+});
+
+test('an SBDRB response is read as one binary block, then the OK', function() {
+    var events = read([sbdrb(Buffer.from("\r\nOK\r\n"))]);
+    assert.deepStrictEqual(events[0].binary, Buffer.from("\r\nOK\r\n"));
+    assert.strictEqual(events[0].err, null);
+    assert.deepStrictEqual(events.slice(1).map(function(e) { return e.line; }), ["\r", "OK\r"]);
+});
+
+test('an SBDRB response split in any chunks gives the same message', function() {
+    var message = Buffer.from([0, 1, 0x0d, 0x0a, 0xff, 0x41, 0x54]);
+    var data = sbdrb(message);
+    for (var i=1;i<data.length;i++) {
+        var events = read([data.slice(0, i), data.slice(i)]);
+        assert.deepStrictEqual(events[0].binary, message, "split at "+i);
+    }
+});
+
+test('a wrong checksum gives a ChecksumError with the message', function() {
+    var events = read([sbdrb(Buffer.from("hi"), 1)]);
+    assert.deepStrictEqual(events[0].binary, Buffer.from("hi"));
+    assert.ok(events[0].err instanceof errors.ChecksumError);
+});
+
+test('an echoed command before the response is skipped', function() {
+    var events = read([Buffer.concat([Buffer.from("AT+SBDRB\r"), sbdrb(Buffer.from("abc"))])]);
+    assert.deepStrictEqual(events[0].binary, Buffer.from("abc"));
+});
+
+test('an ERROR instead of the response is read as a line', function() {
+    var events = read([Buffer.from("ERROR\r\n")]);
+    assert.deepStrictEqual(events, [{line: "ERROR\r"}]);
+});
+
+test('a short response is reported by binaryError', function() {
+    var protocol = new SbdProtocol();
+    protocol.expectBinary();
+    protocol.write(Buffer.from([0, 10, 1, 2]));
+    var err = protocol.binaryError();
+    assert.ok(err instanceof errors.ShortReadError);
+    protocol.reset();
+    assert.strictEqual(protocol.binaryError(), null);
+});
+
+test('lines before the response are emitted and binary mode goes on', function() {
+    var events = read([Buffer.from("\r\nSBD"), Buffer.from("RING\r\n"), sbdrb(Buffer.from("abc"))]);
+    assert.deepStrictEqual(events.slice(0, 2), [{line: "\r"}, {line: "SBDRING\r"}]);
+    assert.deepStrictEqual(events[2].binary, Buffer.from("abc"));
+});
+
+test('an OK without a response ends binary mode', function() {
+    var protocol = new SbdProtocol();
+    var lines = [];
+    protocol.on('data', function(line) {
+        lines.push(line);
+    });
+    protocol.expectBinary();
+    protocol.write(Buffer.from("\r\nOK\r\n+CSQ:5\r\n"));
+    assert.deepStrictEqual(lines, ["\r", "OK\r", "+CSQ:5\r"]);
+    assert.strictEqual(protocol.binaryError(), null);
+});
+
+test('a corrupted MT message is read again', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        sim.queueMT(Buffer.from([0, 0x0d, 0x0a, 0xfe]));
+        sim.corruptRead();
+        var received = null;
+        modem.on('newmessage', function(message) {
+            received = message;
+        });
+        modem.mailboxCheck(function(err) {
+            assert.ifError(err);
+            assert.deepStrictEqual(received, Buffer.from([0, 0x0d, 0x0a, 0xfe]));
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('a ring alert just before the SBDRB response does not lose the message', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        var readBinary = sim.readBinary;
+        sim.readBinary = function() {
+            this.unsolicited("SBDRING");
+            readBinary.call(this);
+        };
+        sim.queueMT(Buffer.from("hello"));
+        var rings = 0;
+        modem.on('ringalert', function() {
+            rings++;
+        });
+        modem.on('newmessage', function(message) {
+            assert.deepStrictEqual(message, Buffer.from("hello"));
+        });
+        modem.mailboxCheck(function(err, session) {
+            assert.ifError(err);
+            assert.strictEqual(session.mtError, undefined);
+            assert.strictEqual(rings, 1);
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('an SBDRB that ends without a response fails the read', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        sim.readBinary = function() {
+            this.respond("OK");
+        };
+        sim.queueMT(Buffer.from("hello"));
+        modem.on('newmessage', function() {
+            assert.fail("no message was read");
+        });
+        modem.mailboxCheck(function(err, session) {
+            assert.ifError(err);
+            assert.ok(session.mtError instanceof errors.ShortReadError);
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('an MT message that can not be read is reported and kept', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        sim.queueMT(Buffer.from("hello"));
+        sim.corruptRead();
+        sim.corruptRead();
+        var failed = null;
+        modem.on('mailboxerror', function(err, mtmsn) {
+            failed = {err: err, mtmsn: mtmsn};
+        });
+        modem.mailboxCheck(function(err, session) {
+            assert.ifError(err);
+            assert.ok(failed.err instanceof errors.ChecksumError);
+            assert.strictEqual(failed.mtmsn, session.mtmsn);
+            // still in the MT buffer
+            modem.readBinaryMessage(0, function(err) {
+                assert.ifError(err);
+                modem.close();
+                done();
+            });
+        });
+    });
+});
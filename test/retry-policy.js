@@ -0,0 +1,88 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        iridium = require('..'),
+        RetryPolicy = require('../lib/retry-policy'),
+        errors = require('../lib/errors');
+
+function retryable() {
+    return new errors.IridiumError("No network service", 'NO_SERVICE', true);
+}
+
+// a modem whose sessions are played by "send", with the signal given by "bars"
+function modem(bars, send) {
+    var modem = iridium.createIridium();
+    modem.getSignalQuality = function(callback) {
+        callback(null, bars.length?bars.shift():5);
+    };
+    modem.sendBinaryMessage = function(buffer, callback) {
+        send(buffer, callback);
+    };
+    return modem;
+}
+
+test('the delay grows by the factor up to maxDelay', function() {
+    var policy = new RetryPolicy({initialDelay: 1000, factor: 3, maxDelay: 20000, jitter: 0});
+    assert.deepStrictEqual([1, 2, 3, 4].map(function(attempt) {
+        return policy.delay(attempt);
+    }), [1000, 3000, 9000, 20000]);
+});
+
+test('the jitter keeps the delay within its fraction', function() {
+    var policy = new RetryPolicy({initialDelay: 1000, jitter: 0.5});
+    var seen = {};
+    for (var i=0;i<200;i++) {
+        var delay = policy.delay(1);
+        assert.ok(delay >= 500 && delay <= 1500, "delay "+delay);
+        seen[delay > 1000] = true;
+    }
+    assert.ok(seen[true] && seen[false]);
+});
+
+test('only retryable errors are retried, up to maxAttempts', function() {
+    var policy = new RetryPolicy({maxAttempts: 3});
+    assert.ok(policy.shouldRetry(retryable(), 2));
+    assert.ok(!policy.shouldRetry(retryable(), 3));
+    assert.ok(!policy.shouldRetry(new errors.IridiumError("Locked", 'LOCKED', false), 1));
+    assert.ok(!policy.shouldRetry(null, 1));
+});
+
+test('an attempt that would start after the deadline has expired', function() {
+    var policy = new RetryPolicy({deadline: 1000});
+    var started = Date.now()-500;
+    assert.ok(!policy.expired(started, 400));
+    assert.ok(policy.expired(started, 600));
+    assert.ok(!new RetryPolicy().expired(0, 600));
+});
+
+test('mailboxSend does not send below minBars', function(t, done) {
+    var sent = 0;
+    var attempts = [];
+    var sbd = modem([1, 3], function(buffer, callback) {
+        sent++;
+        callback(null, {momsn: 7});
+    });
+    sbd.on('attempt', function(attempt) {
+        attempts.push(attempt.attempt);
+    });
+    sbd.mailboxSend(Buffer.from("hi"), function(err, session) {
+        assert.ifError(err);
+        assert.strictEqual(session.momsn, 7);
+        assert.strictEqual(sent, 1);
+        assert.deepStrictEqual(attempts, [1, 2]);
+        done();
+    }, {minBars: 2, initialDelay: 1, jitter: 0});
+});
+
+test('mailboxSend gives up at maxAttempts or the deadline', function(t, done) {
+    var sbd = modem([], function(buffer, callback) {
+        callback(retryable());
+    });
+    sbd.mailboxSend(Buffer.from("hi"), function(err) {
+        assert.strictEqual(err.code, 'MAX_ATTEMPTS');
+        assert.strictEqual(err.cause.code, 'NO_SERVICE');
+        sbd.mailboxSend(Buffer.from("hi"), function(err) {
+            assert.strictEqual(err.code, 'DEADLINE');
+            done();
+        }, {initialDelay: 50, jitter: 0, deadline: 80});
+    }, {maxAttempts: 3, initialDelay: 1, jitter: 0});
+});
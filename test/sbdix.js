@@ -0,0 +1,41 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        sbdix = require('../lib/sbdix'),
+        errors = require('../lib/errors');
+
+test('parse reads the six fields of +SBDIX', function() {
+    assert.deepStrictEqual(sbdix.parse("+SBDIX: 0, 12, 1, 7, 42, 3\r\nOK\r\n"), {
+        moStatus: 0,
+        momsn: 12,
+        mtStatus: 1,
+        mtmsn: 7,
+        mtLength: 42,
+        mtQueued: 3
+    });
+    assert.strictEqual(sbdix.parse("+SBDIX:32,5,0,0,0,0").moStatus, 32);
+});
+
+test('parse returns null without a +SBDIX line', function() {
+    assert.strictEqual(sbdix.parse("ERROR"), null);
+    assert.strictEqual(sbdix.parse(""), null);
+    assert.strictEqual(sbdix.parse(null), null);
+});
+
+test('MO status 0 to 4 is a success', function() {
+    assert.ok(sbdix.isSuccess(0));
+    assert.ok(sbdix.isSuccess(4));
+    assert.ok(!sbdix.isSuccess(5));
+    assert.ok(!sbdix.isSuccess(32));
+});
+
+test('only transient failures are retryable', function() {
+    var noService = sbdix.sessionError(sbdix.parse("+SBDIX: 32, 1, 0, 0, 0, 0"));
+    assert.ok(noService instanceof errors.SessionError);
+    assert.strictEqual(noService.status, 32);
+    assert.strictEqual(noService.retryable, true);
+
+    var locked = sbdix.sessionError(sbdix.parse("+SBDIX: 16, 1, 0, 0, 0, 0"));
+    assert.strictEqual(locked.retryable, false);
+    assert.strictEqual(sbdix.describe(16), sbdix.MO_STATUS[16]);
+    assert.ok(/failure/.test(sbdix.describe(7)));
+});
@@ -0,0 +1,155 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        fs = require('fs'),
+        os = require('os'),
+        path = require('path'),
+        http = require('http'),
+        iridium = require('..'),
+        Outbox = require('../lib/outbox'),
+        openSimulator = require('./helpers').openSimulator;
+
+// a gateway for a simulated modem, listening on a free local port - closed
+// with the modem once the test is over
+function openServer(t, options, callback) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        var server = iridium.server.createServer(modem, options);
+        t.after(function() {
+            server.close();
+            modem.close();
+        });
+        server.listen(0, '127.0.0.1', function() {
+            callback(server.address().port, modem, sim);
+        });
+    });
+}
+
+// call back with the status and the parsed JSON answer
+function request(port, method, requestPath, headers, body, callback) {
+    var req = http.request({host: '127.0.0.1', port: port, method: method, path: requestPath, headers: headers}, function(res) {
+        var chunks = [];
+        res.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        res.on('end', function() {
+            callback(res.statusCode, JSON.parse(Buffer.concat(chunks).toString()));
+        });
+    });
+    req.end(body);
+}
+
+function post(port, json, callback) {
+    request(port, 'POST', "/messages", {'Content-Type': 'application/json'}, JSON.stringify(json), callback);
+}
+
+function outbox(t) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+    t.after(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+    return new Outbox(path.join(dir, "outbox.jsonl"));
+}
+
+test('the token is taken from the header, and from the query on /events only', function(t, done) {
+    openServer(t, {token: "secret"}, function(port) {
+        request(port, 'GET', "/messages", {}, null, function(status) {
+            assert.strictEqual(status, 401);
+            request(port, 'GET', "/messages?token=secret", {}, null, function(status) {
+                assert.strictEqual(status, 401);
+                request(port, 'GET', "/messages", {Authorization: "Bearer secret"}, null, function(status, body) {
+                    assert.strictEqual(status, 200);
+                    assert.deepStrictEqual(body, []);
+                    http.get({host: '127.0.0.1', port: port, path: "/events?token=secret"}, function(res) {
+                        assert.strictEqual(res.statusCode, 200);
+                        assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+                        res.destroy();
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('a message with a bad priority or ttl is refused', function(t, done) {
+    openServer(t, {outbox: outbox(t)}, function(port) {
+        post(port, {text: "hello", priority: "high"}, function(status, body) {
+            assert.strictEqual(status, 400);
+            assert.match(body.error, /priority/);
+            post(port, {text: "hello", ttl: -1}, function(status, body) {
+                assert.strictEqual(status, 400);
+                assert.match(body.error, /ttl/);
+                post(port, {text: "hello", priority: 1, ttl: 60000}, function(status, body) {
+                    assert.strictEqual(status, 202);
+                    assert.strictEqual(body.status, 'queued');
+                    done();
+                });
+            });
+        });
+    });
+});
+
+test('a message longer than an SBD message is refused with 413', function(t, done) {
+    openServer(t, {}, function(port) {
+        request(port, 'POST', "/messages", {'Content-Type': 'application/octet-stream'}, Buffer.alloc(341), function(status, body) {
+            assert.strictEqual(status, 413);
+            assert.strictEqual(body.code, 'MESSAGE_TOO_LONG');
+            done();
+        });
+    });
+});
+
+test('a journal that cannot be written is answered with 500', function(t, done) {
+    var box = outbox(t);
+    openServer(t, {outbox: box}, function(port) {
+        fs.rmSync(path.dirname(box.path), {recursive: true, force: true});
+        post(port, {text: "hello"}, function(status, body) {
+            assert.strictEqual(status, 500);
+            assert.ok(body.error);
+            done();
+        });
+    });
+});
+
+test('a message sent without an outbox can be followed by its id', function(t, done) {
+    openServer(t, {}, function(port, modem, sim) {
+        post(port, {hex: "010203"}, function(status, body) {
+            assert.strictEqual(status, 202);
+            var id = body.id;
+            setTimeout(function() {
+                request(port, 'GET', "/messages/"+id, {}, null, function(status, body) {
+                    assert.strictEqual(status, 200);
+                    assert.strictEqual(body.status, 'sent');
+                    assert.strictEqual(body.momsn, 1);
+                    assert.deepStrictEqual(sim.sent[0].message, Buffer.from([1, 2, 3]));
+                    request(port, 'GET', "/messages/0123", {}, null, function(status) {
+                        assert.strictEqual(status, 404);
+                        done();
+                    });
+                });
+            }, 200);
+        });
+    });
+});
+
+test('the status is answered from what was last seen, without asking the modem', function(t, done) {
+    openServer(t, {}, function(port, modem, sim) {
+        // queued after the modem info
+        modem.getSignalQuality(function(err) {
+            assert.ifError(err);
+            sim.ignoreCommand(/^AT/);
+            sim.unsolicited("+AREG:1,0");
+            setTimeout(function() {
+                request(port, 'GET', "/status", {}, null, function(status, body) {
+                    assert.strictEqual(status, 200);
+                    assert.strictEqual(body.initialized, true);
+                    assert.strictEqual(body.queueDepth, 0);
+                    assert.ok(body.info.imei);
+                    assert.strictEqual(body.registration.registered, true);
+                    assert.ok(body.signal);
+                    done();
+                });
+            }, 20);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        errors = require('../lib/errors'),
+        SignalHistory = require('../lib/signal-history'),
+        openSimulator = require('./helpers').openSimulator;
+
+test('the signal history gives the statistics of its readings', function() {
+    var history = new SignalHistory({size: 3});
+    [1, 5, 2, 4].forEach(function(bars) {
+        history.add(bars);
+    });
+    var stats = history.stats();
+    assert.strictEqual(stats.count, 3);
+    assert.strictEqual(stats.min, 2);
+    assert.strictEqual(stats.max, 5);
+    assert.strictEqual(stats.last, 4);
+});
+
+test('waitForSignal does not pile up polls behind a long command', function(t, done) {
+    openSimulator({signal: 1, modem: {signalPollInterval: 10}}, function(err, modem, sim) {
+        assert.ifError(err);
+        sim.ignoreCommand(/CGMI/);
+        var depth = 0;
+        var sample = setInterval(function() {
+            depth = Math.max(depth, modem.getQueueDepth());
+        }, 5);
+        modem.AT("AT+CGMI", /^OK/, /.*/, function(err) {
+            assert.ok(err instanceof errors.TimeoutError);
+            // the command and the first check
+            assert.ok(depth <= 2, "queue depth "+depth);
+            sim.setSignal(4);
+        }, 200);
+        modem.waitForSignal(3, 2000, function(err, bars) {
+            clearInterval(sample);
+            assert.ifError(err);
+            assert.strictEqual(bars, 4);
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('a failure to start signal monitoring is emitted', function(t, done) {
+    openSimulator({modem: {simpleTimeout: 100}}, function(err, modem, sim) {
+        assert.ifError(err);
+        sim.ignoreCommand(/CIER/);
+        modem.on('signalerror', function(err) {
+            assert.ok(err instanceof errors.TimeoutError);
+            modem.close();
+            done();
+        });
+        modem.startSignalMonitoring();
+    });
+});
@@ -0,0 +1,75 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        errors = require('../lib/errors'),
+        openSimulator = require('./helpers').openSimulator;
+
+test('a session with the simulator gives its MOMSN and the MT message', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        sim.queueMT(Buffer.from([1, 2, 3]));
+        var received = null;
+        modem.on('newmessage', function(message) {
+            received = message;
+        });
+        modem.sendBinaryMessage(Buffer.from("hello"), function(err, session) {
+            assert.ifError(err);
+            assert.strictEqual(session.moStatus, 0);
+            assert.strictEqual(session.momsn, 1);
+            assert.strictEqual(session.mtStatus, 1);
+            assert.deepStrictEqual(received, Buffer.from([1, 2, 3]));
+            assert.deepStrictEqual(sim.sent[0].message, Buffer.from("hello"));
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('a failed session is reported as a SessionError', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        sim.failSession(35);
+        modem.sendBinaryMessage(Buffer.from("hello"), function(err) {
+            assert.ok(err instanceof errors.SessionError);
+            assert.strictEqual(err.status, 35);
+            assert.strictEqual(err.retryable, true);
+            assert.strictEqual(sim.sent.length, 0);
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('a modem command times out when the modem does not answer', function(t, done) {
+    openSimulator({modem: {defaultTimeout: 300, simpleTimeout: 300}}, function(err, modem, sim) {
+        assert.ifError(err);
+        sim.ignoreCommand(/CSQ/);
+        modem.getSignalQuality(function(err) {
+            assert.ok(err instanceof errors.TimeoutError);
+            modem.getSignalQuality(function(err, bars) {
+                assert.ifError(err);
+                assert.strictEqual(bars, 5);
+                modem.close();
+                done();
+            });
+        });
+    });
+});
+
+test('a late answer to a command that timed out does not complete the next one', function(t, done) {
+    openSimulator({modem: {defaultTimeout: 300, simpleTimeout: 300}}, function(err, modem, sim) {
+        assert.ifError(err);
+        sim.ignoreCommand(/CGSN/);
+        modem.AT("AT+CGSN", /^OK/, /^\d+/, function(err) {
+            assert.ok(err instanceof errors.TimeoutError);
+            // the answer to AT+CGSN, too late
+            sim.unsolicited("300234010000000");
+            sim.unsolicited("OK");
+            modem.getSignalQuality(function(err, bars) {
+                assert.ifError(err);
+                assert.strictEqual(bars, 5);
+                modem.close();
+                done();
+            });
+        }, 300);
+    });
+});
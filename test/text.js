@@ -0,0 +1,108 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        text = require('../lib/text'),
+        openSimulator = require('./helpers').openSimulator;
+
+function repeat(c, count) {
+    return new Array(count+1).join(c);
+}
+
+test('short texts are sent on the command line, the others in two steps', function() {
+    var prepared = text.prepare("hello");
+    assert.deepStrictEqual(prepared, {text: "hello", length: 5, twoStep: false});
+    assert.strictEqual(text.prepare(repeat("a", 120)).twoStep, false);
+    assert.strictEqual(text.prepare(repeat("a", 121)).twoStep, true);
+    // control characters would be taken as command line editing
+    assert.strictEqual(text.prepare("a\bc").twoStep, true);
+});
+
+test('line breaks are sent as line feeds and the length counts UTF-8 bytes', function() {
+    var prepared = text.prepare("one\r\ntwo\rthree");
+    assert.strictEqual(prepared.text, "one\ntwo\nthree");
+    assert.strictEqual(prepared.twoStep, true);
+    assert.strictEqual(text.prepare("été").length, 5);
+});
+
+test('a text longer than 340 bytes is a MESSAGE_TOO_LONG error', function() {
+    assert.strictEqual(text.prepare(repeat("a", 340)).length, 340);
+    var err = text.prepare(repeat("é", 171));
+    assert.ok(err instanceof Error);
+    assert.strictEqual(err.code, 'MESSAGE_TOO_LONG');
+});
+
+test('the body of an AT+SBDRT response keeps the lines of the text', function() {
+    assert.deepStrictEqual(text.parseBody("+SBDRT:\rhello\r\nOK\r\n"), Buffer.from("hello"));
+    assert.deepStrictEqual(text.parseBody("AT+SBDRT\r+SBDRT:\r\nline one\nline two\r\n\r\nOK"), Buffer.from("line one\nline two"));
+    assert.deepStrictEqual(text.parseBody("+SBDRT:\r\r\nOK\r\n"), Buffer.alloc(0));
+    assert.strictEqual(text.parseBody("ERROR\r\n"), null);
+});
+
+test('text bytes are decoded as UTF-8, or as Latin-1 if they are not UTF-8', function() {
+    assert.strictEqual(text.decode(Buffer.from("été", 'utf8')), "été");
+    assert.strictEqual(text.decode(Buffer.from([0x63, 0x61, 0x66, 0xe9])), "café");
+    assert.strictEqual(text.parseResponse("+SBDRT:\rcafÃ©\r\nOK"), "café");
+});
+
+test('a short text is written with AT+SBDWT=<text>', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        modem.writeText("hello", function(err) {
+            assert.ifError(err);
+            assert.deepStrictEqual(sim.moBuffer, Buffer.from("hello"));
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('long and multi-line texts are written after READY', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        var long = repeat("0123456789", 30);
+        modem.writeText(long, function(err) {
+            assert.ifError(err);
+            assert.deepStrictEqual(sim.moBuffer, Buffer.from(long));
+            modem.writeText("first line\r\nsecond line", function(err) {
+                assert.ifError(err);
+                assert.deepStrictEqual(sim.moBuffer, Buffer.from("first line\nsecond line"));
+                modem.close();
+                done();
+            });
+        });
+    });
+});
+
+test('an over-length text is refused without a command', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        var queued = modem.getQueueDepth();
+        modem.writeText(repeat("a", 341), function(err) {
+            assert.strictEqual(err.code, 'MESSAGE_TOO_LONG');
+            assert.strictEqual(modem.getQueueDepth(), queued);
+            assert.strictEqual(sim.moBuffer, null);
+            modem.close();
+            done();
+        });
+    });
+});
+
+test('a multi-line MT text is read with AT+SBDRT', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        sim.mtBuffer = Buffer.from("line one\nline two é", 'utf8');
+        var received = null;
+        modem.on('newmessage', function(message, queued, bytes) {
+            received = {message: message, queued: queued, bytes: bytes};
+        });
+        modem.readMessage(2, function(err) {
+            assert.ifError(err);
+            assert.strictEqual(received.message, "line one\nline two é");
+            assert.strictEqual(received.queued, 2);
+            assert.deepStrictEqual(received.bytes, Buffer.from("line one\nline two é", 'utf8'));
+            // read, then cleared
+            assert.strictEqual(sim.mtBuffer, null);
+            modem.close();
+            done();
+        });
+    });
+});
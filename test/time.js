@@ -0,0 +1,40 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        time = require('../lib/time');
+
+test('the 2014 epoch is May 11, 2014, 14:23:55 UTC', function() {
+    assert.strictEqual(time.EPOCH, 1399818235000);
+    assert.strictEqual(time.fromSystemTime(0, {reference: time.EPOCH}).getTime(), 1399818235000);
+    // 1000 ticks of 90 ms
+    assert.strictEqual(time.fromSystemTime("3e8", {reference: time.EPOCH}).getTime(), 1399818235000+90000);
+});
+
+test('a time counted from the 2007 epoch', function() {
+    var epoch = time.EPOCHS['2007'];
+    var date = new Date(Date.UTC(2010, 0, 1));
+    var ticks = time.toSystemTime(date, epoch);
+    var decoded = time.fromSystemTime(ticks, {epoch: epoch, reference: date});
+    assert.ok(Math.abs(decoded.getTime()-date.getTime()) < time.TICK);
+});
+
+test('the era closest to the reference is picked after a rollover', function() {
+    // the counter wraps around about 12.25 years after the epoch
+    var wrapped = new Date(time.EPOCH+time.ERA+3600000);
+    var ticks = time.toSystemTime(wrapped);
+    assert.strictEqual(ticks, 3600000/time.TICK);
+    assert.strictEqual(time.fromSystemTime(ticks, {reference: wrapped}).getTime(), wrapped.getTime());
+    assert.strictEqual(time.fromSystemTime(ticks, {reference: time.EPOCH}).getTime(), time.EPOCH+3600000);
+});
+
+test('AT-MSSTM responses', function() {
+    assert.strictEqual(time.parseSystemTime("-MSSTM: 0001a2b3\r\nOK\r\n"), 0x1a2b3);
+    assert.strictEqual(time.parseSystemTime("-MSSTM: no network service").code, 'NO_NETWORK_SERVICE');
+    assert.strictEqual(time.parseSystemTime("ERROR"), null);
+});
+
+test('+CCLK with a 2 or a 4 digit year', function() {
+    var expected = Date.UTC(2024, 1, 29, 23, 59, 58);
+    assert.strictEqual(time.parseClock("+CCLK:24/02/29,23:59:58").getTime(), expected);
+    assert.strictEqual(time.parseClock("+CCLK: 2024/02/29,23:59:58").getTime(), expected);
+    assert.strictEqual(time.parseClock("OK"), null);
+});
@@ -0,0 +1,63 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        fs = require('fs'),
+        os = require('os'),
+        path = require('path'),
+        PassThrough = require('stream').PassThrough,
+        SbdProtocol = require('../lib/protocol'),
+        trace = require('../lib/trace'),
+        openSimulator = require('./helpers').openSimulator;
+
+// an AT+SBDRB response for "message"
+function sbdrb(message) {
+    var out = Buffer.alloc(message.length+4);
+    out.writeUInt16BE(message.length, 0);
+    message.copy(out, 2);
+    out.writeUInt16BE(SbdProtocol.checksum(message), message.length+2);
+    return out;
+}
+
+test('a recorded conversation replays without mismatches', function() {
+    var stream = new PassThrough();
+    var recorder = new trace.TraceRecorder(stream);
+    recorder.command({command: "AT+CSQ"});
+    recorder.raw(Buffer.from("\r\n+CSQ:5\r\n"));
+    recorder.line("\r");
+    recorder.line("+CSQ:5\r");
+    recorder.command({command: "AT+SBDRB", binary: true});
+    recorder.raw(sbdrb(Buffer.from("hi")));
+    recorder.binary(Buffer.from("hi"), null);
+    recorder.close();
+
+    var result = trace.replay(trace.parse(stream.read().toString()));
+    assert.deepStrictEqual(result.mismatches, []);
+    assert.strictEqual(result.entries.length, 5);
+});
+
+test('a response parsed differently is a mismatch', function() {
+    var entries = [
+        {dir: '>', text: "AT+CSQ"},
+        {dir: 'raw', hex: Buffer.from("+CSQ:4\r\n").toString('hex')},
+        {dir: '<', text: "+CSQ:5\r"}
+    ];
+    var mismatches = trace.replay(entries).mismatches;
+    assert.strictEqual(mismatches.length, 1);
+    assert.strictEqual(mismatches[0].replayed.text, "+CSQ:4\r");
+});
+
+test('a trace file that can not be written stops the trace, not the modem', function(t, done) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "trace-"));
+    t.after(function() {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+    openSimulator({modem: {trace: path.join(dir, "missing", "trace.jsonl")}}, function(err, modem) {
+        assert.ifError(err);
+        assert.strictEqual(modem.tracer, null);
+        modem.getSignalQuality(function(err, bars) {
+            assert.ifError(err);
+            assert.strictEqual(bars, 5);
+            modem.close();
+            done();
+        });
+    });
+});
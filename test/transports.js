@@ -0,0 +1,27 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        transports = require('../lib/transports');
+
+test('what is written to one end of a memory pair is read from the other', function(t, done) {
+    var pair = transports.memoryPair();
+    pair.modem.on('data', function(data) {
+        assert.strictEqual(data.toString(), "AT\r");
+        pair.modem.write("\r\nOK\r\n");
+    });
+    pair.host.on('data', function(data) {
+        assert.strictEqual(data.toString(), "\r\nOK\r\n");
+        pair.host.close();
+        assert.strictEqual(pair.modem.isOpen, false);
+        done();
+    });
+    pair.host.write("AT\r");
+});
+
+test('the transport option wins over the port', function() {
+    var pair = transports.memoryPair();
+    assert.strictEqual(transports.create({transport: pair.host, port: "tcp://localhost:1"}), pair.host);
+    assert.strictEqual(transports.create({transport: function(options) {
+        assert.strictEqual(options.port, "/dev/null");
+        return pair.modem;
+    }, port: "/dev/null"}), pair.modem);
+});
@@ -0,0 +1,113 @@
+var test = require('node:test'),
+        assert = require('assert'),
+        watchdog = require('../lib/watchdog'),
+        openSimulator = require('./helpers').openSimulator;
+
+// quick pings, quick reconnects
+var OPTIONS = {interval: 50, timeout: 100, failures: 2, initialDelay: 50, maxDelay: 100};
+
+function options(extra) {
+    var out = {};
+    var key;
+    for (key in OPTIONS) out[key] = OPTIONS[key];
+    for (key in extra) out[key] = extra[key];
+    return out;
+}
+
+test('the options start from the defaults', function() {
+    var resolved = watchdog.resolve({interval: 1000});
+    assert.strictEqual(resolved.interval, 1000);
+    assert.strictEqual(resolved.failures, 2);
+    assert.strictEqual(resolved.maxAttempts, 0);
+    assert.deepStrictEqual(watchdog.resolve(true), watchdog.DEFAULTS);
+
+    var backoff = watchdog.backoff(watchdog.resolve({initialDelay: 1000, maxDelay: 3000}));
+    assert.ok(backoff.delay(1) >= 900 && backoff.delay(1) <= 1100);
+    assert.ok(backoff.delay(10) <= 3300);
+});
+
+test('a modem that stops answering is reconnected and the waiting commands go on', function(t, done) {
+    openSimulator({modem: {watchdog: options()}}, function(err, modem, sim) {
+        assert.ifError(err);
+        assert.strictEqual(modem.getState(), 'ready');
+        var initializing = [];
+        modem.on('initialized', function() {
+            initializing.push(modem.initializing);
+        });
+        modem.on('disconnected', function(err) {
+            assert.strictEqual(err.code, 'NOT_RESPONDING');
+            assert.strictEqual(modem.getState(), 'faulted');
+            modem.getSignalQuality(function(err, bars) {
+                assert.ifError(err);
+                assert.strictEqual(bars, 5);
+                // no longer initializing once initialized
+                assert.deepStrictEqual(initializing, [false]);
+                modem.close();
+                done();
+            });
+            sim.setPower(true);
+        });
+        modem.on('reconnected', function() {
+            assert.strictEqual(modem.connection, 'open');
+        });
+        sim.setPower(false);
+    });
+});
+
+test('a port that closes counts as a lost modem', function(t, done) {
+    openSimulator({modem: {watchdog: options()}}, function(err, modem, sim) {
+        assert.ifError(err);
+        modem.on('disconnected', function(err) {
+            assert.strictEqual(err.code, 'PORT_CLOSED');
+            assert.strictEqual(err.retryable, true);
+        });
+        modem.on('reconnected', function() {
+            modem.close();
+            done();
+        });
+        sim.emit('close');
+    });
+});
+
+test('after maxAttempts the watchdog gives up and commands fail', function(t, done) {
+    openSimulator({modem: {
+        watchdog: options({maxAttempts: 2}),
+        init: {readyTimeout: 100, retryInterval: 50}
+    }}, function(err, modem, sim) {
+        assert.ifError(err);
+        modem.on('reconnectfailed', function(err) {
+            assert.strictEqual(err.step, 'ready');
+            assert.strictEqual(modem.getState(), 'faulted');
+            modem.getSignalQuality(function(err) {
+                assert.strictEqual(err.code, 'DISCONNECTED');
+                assert.strictEqual(err.retryable, false);
+                modem.close();
+                done();
+            });
+        });
+        sim.setPower(false);
+    });
+});
+
+test('close() fails the running and the waiting commands', function(t, done) {
+    openSimulator(function(err, modem, sim) {
+        assert.ifError(err);
+        sim.ignoreCommand(/CSQ/);
+        var codes = [];
+        function finished(err) {
+            codes.push(err.code);
+            if (codes.length < 2) return;
+            assert.deepStrictEqual(codes, ['CLOSED', 'CLOSED']);
+            assert.strictEqual(modem.getState(), 'closed');
+            modem.getSignalQuality(function(err) {
+                assert.strictEqual(err.code, 'CLOSED');
+                done();
+            });
+        }
+        modem.getSignalQuality(finished);
+        modem.getSignalQuality(finished);
+        setTimeout(function() {
+            modem.close();
+        }, 20);
+    });
+});